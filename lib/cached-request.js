@@ -3,18 +3,34 @@ CachedRequest class
 */
 'use strict';
 
-var fs = require("graceful-fs")
-,   querystring =  require("querystring")
+var querystring =  require("querystring")
+,   url = require("url")
+,   crypto = require("crypto")
 ,   RequestMiddleware = require("./request-middleware")
 ,   util = require("util")
-,   zlib = require("zlib")
 ,   Transform = require("stream").Transform
+,   PassThrough = require("stream").PassThrough
 ,   EventEmitter = require("events").EventEmitter
 ,   lo = require('lodash')
-,   writeFileAtomic = require('write-file-atomic')
 ,   Q = require('q')
-,   lockfile = require('proper-lockfile')
-,   retry = require('retry');
+,   retry = require('retry')
+,   caseless = require('caseless')
+,   freshness = require('./freshness')
+,   metadata = require('./meta')
+,   FileStore = require('./file-store')
+,   Flight = require('./flight')
+,   compression = require('./compression')
+,   har = require('./har')
+,   encryption = require('./encryption');
+
+// methods that don't change the state of the server, see https://tools.ietf.org/html/rfc7231#section-4.2.1
+var SAFE_METHODS = ["GET", "HEAD", "OPTIONS", "TRACE"];
+
+// "only-if-cached" and "replay" never make requests, see the mode option
+var MODES = ["default", "only-if-cached", "record", "replay"];
+
+// number of entries purge and gc work on at once, rather than opening the files of the whole cache together
+var SCAN_CONCURRENCY = 16;
 
 util.inherits(Response, Transform);
 
@@ -27,6 +43,154 @@ Response.prototype._transform = function (chunk, enconding, callback) {
   callback();
 };
 
+// same as the responses of request
+Response.prototype.toJSON = function () {
+  return {
+    statusCode: this.statusCode,
+    body: this.body,
+    headers: this.headers,
+    request: {
+      uri: this.request.uri,
+      method: this.request.method,
+      headers: this.request.headers
+    }
+  };
+};
+
+/**
+ * Decodes a response body read from the cache the same way request decodes the bodies it receives: to a string in
+ * the `encoding` option (utf8 by default), kept as a Buffer if it's null, and parsed if the `json` option is set. Bodies
+ * that aren't valid JSON are left as strings.
+ * 
+ * @param {Buffer} buffer 
+ * @param {object} opt        {encoding: string|null, json: boolean|object}
+ * @return {mixed}
+ */
+function decodeBody (buffer, opt) {
+  var body;
+
+  if (buffer && buffer.length) {
+    body = opt.encoding === null ? buffer : buffer.toString(opt.encoding || "utf8");
+    // strip the byte order mark, like request does
+    if (typeof body === "string" && body.charCodeAt(0) === 0xFEFF) body = body.substring(1);
+  };
+
+  if (opt.json) {
+    try {
+      body = JSON.parse(body);
+    } catch (e) {};
+  } else if (body === undefined) {
+    body = opt.encoding === null ? Buffer.alloc(0) : "";
+  };
+
+  return body;
+}
+
+/**
+ * Calls fn with every item, with at most limit calls pending at once. Stops calling fn as soon as a call fails.
+ * 
+ * @param {Array} items 
+ * @param {number} limit 
+ * @param {function} fn       fn(item), returns a promise object or a value
+ * @return {object}           promise object, resolves with the results in the order of the items
+ */
+function mapLimit (items, limit, fn) {
+  var results = new Array(items.length)
+  ,   next = 0;
+
+  var work = function(){
+    var def = Q.defer();
+
+    var step = function(){
+      var i = next++;
+
+      if (i >= items.length) return def.resolve();
+
+      Q.fcall(fn, items[i])
+      .then(function(result){
+        results[i] = result;
+        step();
+      }, function(err){
+        next = items.length;
+        def.reject(err);
+      })
+      .done();
+    };
+
+    step();
+    return def.promise;
+  };
+
+  return Q.all(lo.times(Math.min(limit, items.length), work))
+  .then(function(){
+    return results;
+  });
+}
+
+/**
+ * Returns the options and callback of a request called with any of the argument forms request supports:
+ * (options, [callback]), (url, [callback]) and (url, options, [callback]). The options are copied so the caller's
+ * aren't modified.
+ * 
+ * @param {string|object} uri 
+ * @param {object|function} [options] 
+ * @param {function} [callback] 
+ * @return {object}           {options: object, callback: function}
+ */
+function initParams (uri, options, callback) {
+  var params = {};
+
+  if (typeof options === "function") {
+    callback = options;
+    options = undefined;
+  };
+
+  if (typeof uri !== "string" && (! uri || typeof uri !== "object")) {
+    throw new Error("An options object must provided. e.g: request(options)");
+  };
+
+  if (options && typeof options === "object") {
+    params.options = lo.assign(lo.omit(options, "url"), {uri: uri});
+  } else if (typeof uri === "string") {
+    params.options = {uri: uri};
+  } else {
+    params.options = lo.assign({}, uri);
+  };
+
+  params.callback = typeof callback === "function" ? callback : undefined;
+  return params;
+}
+
+// request options whether a response can still be served depends on, recorded in its meta, see isExpired
+var FRESHNESS_OPTIONS = ["ttl", "negativeTtl", "httpSemantics", "sharedCache", "ttlMode", "staleWhileRevalidate",
+  "staleIfError", "revalidate", "mode"];
+
+// file names of the SHA-256 cache keys, see hashKey
+var HASH_KEY = /^[0-9a-f]{64}$/;
+
+// request's shortcut methods
+var SHORTCUT_METHODS = {
+  get: "GET",
+  head: "HEAD",
+  options: "OPTIONS",
+  post: "POST",
+  put: "PUT",
+  patch: "PATCH",
+  del: "DELETE",
+  "delete": "DELETE"
+};
+
+// statistics counters of the cache lifecycle events, see notify
+var EVENT_COUNTERS = {
+  hit: "hits",
+  miss: "misses",
+  stale: "stale",
+  store: "stores",
+  revalidate: "revalidations",
+  lockWait: "lockWaits",
+  evict: "evictions"
+};
+
 util.inherits(CachedRequest, EventEmitter);
 
 function CachedRequest (request) {
@@ -36,6 +200,56 @@ function CachedRequest (request) {
 
   this.request = request;
   this.cacheDirectory = "/tmp/";
+  this.store = new FileStore({directory: this.cacheDirectory});
+  this.ttl = 0;
+  this.gzipResponse = true;
+  this.compression = undefined;
+  this.compressionLevel = undefined;
+  this.decodeResponse = false;
+  this.httpSemantics = false;
+  this.sharedCache = false;
+  this.ttlMode = "ceiling";
+  this.revalidate = true;
+  this.staleWhileRevalidate = 0;
+  this.staleIfError = 0;
+  this.migrateLegacyKeys = true;
+  this.vary = false;
+  this.cacheKey = undefined;
+  this.includeHeaders = undefined;
+  this.excludeHeaders = undefined;
+  this.includeQuery = undefined;
+  this.excludeQuery = undefined;
+  this.cacheableMethods = ["GET", "HEAD"];
+  this.cacheableStatusCodes = [];
+  this.negativeTtl = undefined;
+  this.requestDefaults = {};
+  this.coalesce = true;
+  this.mode = "default";
+  this.encryption = undefined;
+  this.maxSize = 0;
+  this.maxEntries = 0;
+  this.evictionPolicy = "lru";
+  this.gcInterval = 60 * 1000;
+  this._gc = null;
+  this._lastGc = 0;
+  this._accesses = {};
+  this._flush = null;
+  this._lastFlush = Date.now();
+  this._inflight = {};
+  this._stats = {
+    hits: 0,
+    misses: 0,
+    stale: 0,
+    stores: 0,
+    revalidations: 0,
+    notModified: 0,
+    lockWaits: 0,
+    evictions: 0,
+    errors: 0,
+    bytesServed: 0,
+    bytesStored: 0,
+    bytesEvicted: 0
+  };
   this.lockOpt = {
     stale: undefined,
     update: undefined,
@@ -52,10 +266,58 @@ function CachedRequest (request) {
     return self.cachedRequest.apply(self, arguments);
   }
 
-  _request.get = function () {
-  	arguments[0].method = 'GET';
+  _request.fetch = function () {
+    return self.fetch.apply(self, arguments);
+  }
 
-    return self.cachedRequest.apply(self, arguments);
+  lo.forEach(SHORTCUT_METHODS, function (method, name) {
+    _request[name] = function (uri, options, callback) {
+      var params = initParams(uri, options, callback);
+      params.options.method = method;
+
+      return self.cachedRequest(params.options, params.callback);
+    };
+
+    _request.fetch[name] = function (uri, options) {
+      var params;
+
+      try {
+        params = initParams(uri, options);
+      } catch (err) {
+        return Q.reject(err);
+      };
+      params.options.method = method;
+
+      return self.fetch(params.options);
+    };
+  });
+
+  _request.invalidate = function () {
+    return self.invalidate.apply(self, arguments);
+  }
+
+  _request.purge = function () {
+    return self.purge.apply(self, arguments);
+  }
+
+  _request.gc = function (callback) {
+    return self.gc(callback);
+  }
+
+  _request.exportHar = function () {
+    return self.exportHar.apply(self, arguments);
+  }
+
+  _request.importHar = function () {
+    return self.importHar.apply(self, arguments);
+  }
+
+  _request.stats = function () {
+    return self.stats();
+  }
+
+  _request.defaults = function (options) {
+    return self.defaults(options);
   }
 
   _request.setCacheDirectory = function (cacheDirectory) {
@@ -84,26 +346,183 @@ CachedRequest.prototype.setCacheDirectory = function (cacheDirectory) {
   if (this.cacheDirectory.lastIndexOf("/") < this.cacheDirectory.length - 1) {
     this.cacheDirectory += "/";
   };
+  // a custom storage backend is left as is, the layout of the files is kept
+  if (this.store instanceof FileStore) {
+    this.store = new FileStore({
+      directory: this.cacheDirectory,
+      shardLevels: this.store.shardLevels,
+      shardWidth: this.store.shardWidth
+    });
+  };
 };
 
-CachedRequest.prototype.handleError = function (error) {
-  if (this.logger) {
+/**
+ * Reports an error that isn't passed to a callback: emits it as an "error" event if there are listeners, otherwise
+ * logs it.
+ * 
+ * @param {Error} error 
+ * @param {object} [info]     the request it happened for, see notify
+ */
+CachedRequest.prototype.handleError = function (error, info) {
+  this._stats.errors++;
+
+  if (this.listenerCount("error")) {
+    this.emit("error", error, info ? this.getEventPayload(info) : {});
+  } else if (this.logger) {
     this.logger.error({err: error});
   } else {
     console.error(error.stack);
   };
 };
 
+/**
+ * Returns the payload of a cache lifecycle event: the fields describing the request (options, key, requestKey), the
+ * file paths of the entry if the store has files, the number of milliseconds since the request was made, and the
+ * event specific fields.
+ * 
+ * @param {object} info     {options: object, key: string, requestKey: string, startTime: number}
+ * @param {object} [extra]  event specific fields, e.g. {size: number}, overriding the ones of info
+ * @return {object}
+ */
+CachedRequest.prototype.getEventPayload = function (info, extra) {
+  var payload = lo.assign(lo.omit(info, "startTime"), extra);
+
+  if (payload.key && typeof this.store.getResponsePath === "function") {
+    payload.responsePath = this.store.getResponsePath(payload.key);
+    payload.metaPath = this.store.getMetaPath(payload.key);
+  };
+  if (info.startTime) payload.time = Date.now() - info.startTime;
+
+  return payload;
+};
+
+/**
+ * Emits a cache lifecycle event ("hit", "miss", "stale", "store", "revalidate", "lockWait" or "evict") and updates the
+ * statistics, see stats.
+ * 
+ * @param {string} event 
+ * @param {object} info     see getEventPayload
+ * @param {object} [extra]  see getEventPayload
+ */
+CachedRequest.prototype.notify = function (event, info, extra) {
+  var payload = this.getEventPayload(info, extra)
+  ,   stats = this._stats
+  ,   size = payload.size || 0;
+
+  stats[EVENT_COUNTERS[event]]++;
+  if (event === "hit") stats.bytesServed += size;
+  if (event === "store") stats.bytesStored += size;
+  if (event === "evict") stats.bytesEvicted += size;
+  if (event === "revalidate" && payload.notModified) stats.notModified++;
+
+  this.emit(event, payload);
+};
+
+/**
+ * Returns the cumulative statistics of the cache lifecycle events since the instance was created, and the ratio of the
+ * responses served from the cache.
+ * 
+ * @return {object}   {hits, misses, stale, stores, revalidations, notModified, lockWaits, evictions, errors,
+ *                    bytesServed, bytesStored, bytesEvicted, hitRatio}
+ */
+CachedRequest.prototype.stats = function () {
+  var stats = lo.clone(this._stats)
+  ,   served = stats.hits + stats.misses;
+
+  stats.hitRatio = served ? stats.hits / served : 0;
+  return stats;
+};
+
+/**
+ * Returns the properties of an object whose names are listed in `include` (all of them if it's not provided) and not
+ * listed in `exclude`.
+ * 
+ * @param {object} object 
+ * @param {array} include 
+ * @param {array} exclude 
+ * @param {boolean} ignoreCase    compare lower-cased names, e.g. for headers
+ * @return {object}
+ */
+function filterKeys (object, include, exclude, ignoreCase) {
+  var normalize = function (name) {
+    return ignoreCase ? String(name).toLowerCase() : String(name);
+  };
+
+  include = include ? lo.map(include, normalize) : null;
+  exclude = lo.map(exclude || [], normalize);
+
+  return lo.pickBy(object, function (value, name) {
+    name = normalize(name);
+    return (! include || include.indexOf(name) !== -1) && exclude.indexOf(name) === -1;
+  });
+}
+
+/**
+ * Returns the canonical form of a request url, so that urls which only differ in the way they're written share a cache
+ * entry: the scheme and host are lower-cased, the default port and the fragment are dropped, the `qs` option is merged
+ * into the query string (overriding parameters of the same name, like request does) and the query parameters are
+ * sorted by name.
+ * 
+ * @param {string|object} uri     url or parsed url
+ * @param {object} options        request options: {baseUrl: string, qs: object, includeQuery: array,
+ *                                excludeQuery: array}
+ * @return {string}
+ */
+function canonicalizeUrl (uri, options) {
+  var parsed
+  ,   query
+  ,   search;
+
+  if (uri && typeof uri === "object") uri = url.format(uri);
+  if (typeof uri !== "string") return uri;
+
+  // same as request: the url is a path relative to baseUrl
+  if (typeof options.baseUrl === "string") {
+    if (lo.endsWith(options.baseUrl, "/") && lo.startsWith(uri, "/")) {
+      uri = options.baseUrl + uri.slice(1);
+    } else if (lo.endsWith(options.baseUrl, "/") || lo.startsWith(uri, "/")) {
+      uri = options.baseUrl + uri;
+    } else {
+      uri = uri === "" ? options.baseUrl : options.baseUrl + "/" + uri;
+    };
+  };
+
+  parsed = url.parse(uri, true);
+
+  query = lo.assign({}, parsed.query, lo.mapValues(options.qs || {}, function (value) {
+    // nested objects would otherwise all be stringified to an empty value
+    return lo.isPlainObject(value) ? JSON.stringify(value) : value;
+  }));
+  if (options.includeQuery || options.excludeQuery) {
+    query = filterKeys(query, options.includeQuery, options.excludeQuery);
+  };
+
+  search = Object.keys(query).sort().map(function (name) {
+    return querystring.stringify(lo.pick(query, name));
+  }).join("&");
+
+  if ((parsed.protocol === "http:" && parsed.port === "80") || (parsed.protocol === "https:" && parsed.port === "443")) {
+    parsed.host = parsed.hostname;
+  };
+
+  parsed.search = search ? "?" + search : "";
+  parsed.query = null;
+  parsed.hash = null;
+
+  return url.format(parsed);
+}
+
 CachedRequest.prototype.normalizeOptions = function (options) {
   var _options = {};
 
   _options.method = options.method || "GET";
-  _options.url = options.url || options.uri;
-  _options.headers = options.headers || {};
+  _options.url = canonicalizeUrl(options.url || options.uri, options);
+  // with the vary option, only the request headers listed in the Vary response header select the entry, see getVariant
+  _options.headers = options.vary ? {} : options.headers || {};
   _options.payload = options.body || options.form || options.formData || options.json || "";
 
-  if (options.qs) {
-    _options.url += querystring.stringify(options.qs);
+  if (options.includeHeaders || options.excludeHeaders) {
+    _options.headers = filterKeys(_options.headers, options.includeHeaders, options.excludeHeaders, true);
   };
 
   return _options;
@@ -118,7 +537,63 @@ CachedRequest.prototype.getLockOpt = function(lockOpt){
   return lockOpt;
 }
 
+/**
+ * Returns the lower-cased header names of a Vary header value.
+ * 
+ * @param {string} value 
+ * @return {array}
+ */
+CachedRequest.prototype.parseVary = function (value) {
+  if (! value) return [];
+
+  return lo.uniq(String(value).split(",").map(function (name) {
+    return name.trim().toLowerCase();
+  }).filter(Boolean));
+};
+
+/**
+ * Returns the cache key and request key of the variant of a request selected by the request headers listed in a Vary
+ * header.
+ * 
+ * @param {string} requestKey   see getRequestKey
+ * @param {array} vary          header names, see parseVary
+ * @param {object} headers      request headers
+ * @return {object}             {key: string, requestKey: string}
+ */
+CachedRequest.prototype.getVariant = function (requestKey, vary, headers) {
+  var values = {}
+  ,   variantKey;
+
+  headers = lo.mapKeys(headers || {}, function (value, name) {
+    return name.toLowerCase();
+  });
+
+  vary.forEach(function (name) {
+    values[name] = headers[name] === undefined ? null : String(headers[name]);
+  });
+
+  variantKey = requestKey + "\n" + JSON.stringify(values);
+  return {key: this.hashKey(variantKey), requestKey: variantKey};
+};
+
+/**
+ * Returns the SHA-256 digest of a request key, used as the cache key.
+ * 
+ * @param {string} key 
+ * @return {string}
+ */
 CachedRequest.prototype.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+/**
+ * Returns the 32-bit hash of a request key that previous versions used as the cache key. Entries stored under it are
+ * migrated when they're first requested, see migrateLegacyEntry.
+ * 
+ * @param {string} key 
+ * @return {number}
+ */
+CachedRequest.prototype.legacyHashKey = function (key) {
   var hash = 0, i, chr, len;
   if (key.length == 0) return hash;
   for (i = 0, len = key.length; i < len; i++) {
@@ -130,13 +605,67 @@ CachedRequest.prototype.hashKey = function (key) {
 };
 
 /**
- * Returns the response file path when passed the request options. 
+ * Returns the request key previous versions hashed to the legacy cache key (see legacyHashKey): the url as it was
+ * given, with the qs option appended to it, rather than canonicalized.
+ * 
+ * @param {object} options    request options
+ * @return {string}
+ */
+CachedRequest.prototype.getLegacyRequestKey = function (options) {
+  var _options = {};
+
+  _options.method = options.method || "GET";
+  _options.url = options.url || options.uri;
+  _options.headers = options.headers || {};
+  _options.payload = options.body || options.form || options.formData || options.json || "";
+
+  if (options.qs) {
+    _options.url += querystring.stringify(options.qs);
+  };
+
+  return JSON.stringify(_options);
+};
+
+/**
+ * Returns the full request key when passed the request options. It's stored in the meta to verify cache hits. If the
+ * cacheKey option is a function, it's called with the request options and its result is used instead.
+ * 
+ * @param {object} opt 
+ * @return {string}
+ */
+CachedRequest.prototype.getRequestKey = function(opt){
+  var requestKey;
+
+  if (typeof opt.cacheKey !== "function") return JSON.stringify(this.normalizeOptions(opt));
+
+  requestKey = opt.cacheKey(opt);
+  if (requestKey === undefined || requestKey === null || requestKey === "") {
+    throw new Error("cached-request: the cacheKey function must return a key");
+  }
+  return typeof requestKey === "string" ? requestKey : JSON.stringify(requestKey);
+}
+
+/**
+ * Returns the cache key when passed the request options. 
+ * 
+ * @param {object} opt 
+ * @return {string}
+ */
+CachedRequest.prototype.getKey = function(opt){
+  return this.hashKey(this.getRequestKey(opt));
+}
+
+/**
+ * Returns the response file path when passed the request options, in the layout of the store if it stores files (see
+ * FileStore.shardLevels).
  * 
  * @param {object} opt 
  * @return {string}
  */
 CachedRequest.prototype.getResponsePath = function(opt){
-  var key = this.hashKey(JSON.stringify(this.normalizeOptions(opt)));
+  var key = this.getKey(opt);
+
+  if (typeof this.store.getResponsePath === 'function') return this.store.getResponsePath(key);
   return this.cacheDirectory + key;
 }
 
@@ -147,184 +676,567 @@ CachedRequest.prototype.getResponsePath = function(opt){
  * @return {string}
  */
 CachedRequest.prototype.getMetaPath = function(opt){
+  if (typeof this.store.getMetaPath === 'function') return this.store.getMetaPath(this.getKey(opt));
   return this.getResponsePath(opt) + '.json';
 }
 
 /**
- * Reads the response file from disk. If a file releaseLock function was provided, it will be called when the response
- * file is successfully opened for reading.
+ * Returns the keys entries are encrypted with, or null if they aren't, see the encryption setting and encryption.js.
  * 
- * @param opt 
- * @return {object}     promise object, resolves with true if response file was read successfully, otherwise false if
- *                      response file was stale or didnt exist or metafile didnt exist
+ * @return {object|null}  {keyId: string, key: Buffer, keys: object}
  */
-CachedRequest.prototype.readFromCache = function(opt){
-  var self = this
-  ,   headersReader
-  ,   responseReader
-  ,   abort = false;
+CachedRequest.prototype.getKeyring = function(){
+  return this.encryption ? encryption.getKeyring(this.encryption) : null;
+}
 
-  opt = opt || {};
-  lo.defaults(opt, {
-    responsePath: undefined,
-    metaPath: undefined,
-    requestMiddleware: undefined,
-    json: undefined,
-    callback: undefined,
-    ttl: undefined,
-    releaseLock: undefined
+/**
+ * Reads the meta of a cache entry from the store, see meta.js, decrypting it if entries are encrypted. Metas that can't
+ * be decrypted (tampered with, encrypted with an unknown key, or stored in plaintext while entries are encrypted, and
+ * the other way around) are rejected with an EDECRYPT error.
+ * 
+ * @param {string} key 
+ * @return {object}       promise object, resolves with the meta
+ */
+CachedRequest.prototype.getMeta = function(key){
+  var self = this;
+
+  return Q.ninvoke(this.store, 'getMeta', key)
+  .then(function(stored){
+    return self.openMeta(key, stored);
   });
+}
 
-  // check if response file exists
-  return Q.nfcall(fs.stat, opt.responsePath)
-  // response file doesn't exist or some other error
-  .fail(function(err){
-    abort = true;
-    if (err.code !== 'ENOENT') return Q.reject(err);
-    return Q.resolve(false);
-  })
-  .then(function(stats){
-    if (abort) return stats;
+/**
+ * Returns the meta of a cache entry as it was read from the store, decrypted and upgraded, see getMeta. Throws an
+ * EDECRYPT error if it can't be decrypted.
+ * 
+ * @param {string} key
+ * @param {object} stored
+ * @return {object}
+ */
+CachedRequest.prototype.openMeta = function(key, stored){
+  var keyring = this.getKeyring();
+
+  if (encryption.isEncryptedMeta(stored)) {
+    if (! keyring) throw encryption.decryptError("the meta is encrypted but no encryption key is set", key);
+    stored = encryption.decryptMeta(stored, keyring, key);
+  } else if (keyring) {
+    throw encryption.decryptError("the meta isn't encrypted", key);
+  }
+  return metadata.upgrade(stored);
+}
 
-    var def = Q.defer();
+/**
+ * Writes the meta of a cache entry to the store, encrypting it if entries are encrypted.
+ * 
+ * @param {string} key 
+ * @param {object} meta 
+ * @return {object}       promise object
+ */
+CachedRequest.prototype.setMeta = function(key, meta){
+  var keyring = this.getKeyring();
 
-    // check if it's stale
-    if (stats.mtime.getTime() + opt.ttl < Date.now()) return false;
+  return Q.ninvoke(this.store, 'setMeta', key, keyring ? encryption.encryptMeta(meta, keyring, key) : meta);
+}
 
-    // consider this a successful cachehit and release file lock so other commands/processes can access it
-    if (typeof(opt.releaseLock) === 'function'){
-      opt.releaseLock();
-    }
+/**
+ * Opens the response body of a cache entry as it was stored, e.g. gzipped (see getCompression). Encrypted bodies are
+ * read and authenticated before any of it is passed on, and rejected with an EDECRYPT error if that fails.
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @return {object}       promise object, resolves with a readable stream once the body can be read
+ */
+CachedRequest.prototype.openEntryBody = function(entry){
+  var def = Q.defer()
+  ,   reader = this.store.createReadStream(entry.key)
+  ,   keyring = entry.meta.encryption ? this.getKeyring() : null
+  ,   chunks = [];
 
-    //Open headers file
-    headersReader = fs.createReadStream(opt.metaPath);
+  reader.on('error', def.reject);
 
-    headersReader.on('error', function (err) {
-      if (err.code === 'ENOENT'){
-        err = new Error('cached-request: metafile is inaccessible, but response was not');
-        err.file = opt.metaPath;
-      }
-      def.reject(err); 
+  if (! entry.meta.encryption) {
+    reader.on('open', function(){
+      def.resolve(reader);
     });
+    return def.promise;
+  }
 
-    headersReader.on("open", function (fd) {
-      return Q().then(function(){
-        // Open the response file
-        responseReader = fs.createReadStream(opt.responsePath);
-
-        // If it doesn't exist, response that it needs to be fetched 
-        responseReader.on("error", function (err) {
-          if (err.code === 'ENOENT'){
-            err = new Error('cached-request: response file became inaccessible before it could be read');
-            err.file = opt.responsePath;
-          }
-          def.reject(err); 
-        });
+  reader.on('data', function(data){
+    chunks.push(data);
+  });
 
-        responseReader.on("open", function (error) {
-          //Create a fake response object
-          var response = new Response();
-          response.statusCode = 200;
-          response.headers = "";
+  reader.on('end', function(){
+    var stream = new PassThrough()
+    ,   secret;
 
-          //Read the haders from the file and set them to the response
-          headersReader.on("data", function (data) {
-            response.headers += data.toString();
-          });
-          headersReader.on("end", function () {
-            response.headers = JSON.parse(response.headers);
-            //Notify the response comes from the cache.
-            response.headers["x-from-cache"] = 1;
-            //Emit the "response" event to the client sending the fake response
-            opt.requestMiddleware.emit("response", response);
-
-            var gzipResponse = response.headers._gzipResponse;
-
-            var stream;
-            if (response.headers['content-encoding'] === 'gzip' || ! gzipResponse) {
-              stream = responseReader;
-            } else {
-              // Gunzip the response file
-              stream = zlib.createGunzip();
-              responseReader.on('error', function (error) {
-                stream.end();
-              });
-              stream.on('error', function (error) {
-                responseReader.close();
-              });
-              responseReader.pipe(stream);
-            }
-
-            //Read the response file
-            var responseBody;
-            stream.on("data", function (data) {
-              //Write to the response
-              response.write(data);
-              //If a callback was provided, then buffer the response to send it later
-              if (opt.callback) {
-                responseBody = responseBody ? Buffer.concat([responseBody, data]) : data;
-              }
-              //Push data to the client's request
-              opt.requestMiddleware.push(data);
-            });
+    try {
+      if (! keyring) throw encryption.decryptError("the response is encrypted but no encryption key is set", entry.key);
+      secret = encryption.getKey(keyring, entry.meta.encryption.keyId, entry.key);
+      stream.end(encryption.decrypt(Buffer.concat(chunks), secret, entry.key));
+    } catch (e) {
+      return def.reject(e);
+    };
+    def.resolve(stream);
+  });
 
-            stream.on("end", function () {
-              //End response
-              response.end();
-              //If a callback was provided
-              if (opt.callback) {
-                //Set the response.body
-                response.body = responseBody;
-                //Parse the response body (it needed)
-                if (opt.json) {
-                  try {
-                    responseBody = JSON.parse(responseBody.toString());
-                  } catch (e) {
-                    return callback(e);
-                  };
-                };
-                //callback with the response and body
-                opt.callback(null, response, responseBody);
-              };
-              opt.requestMiddleware.push(null);
-              def.resolve(true);
-            });
-          });
-        });
-      })
-      // reject on the parent promise chain
-      .fail(def.reject)
-      .fin(function(){
-        if (headersReader) headersReader.close;
-        if (responseReader) responseReader.close;
-      });
-    });
-    return def.promise;
-  }); 
+  return def.promise;
 }
 
 /**
- *  
- * @param {object} opt 
- * @return {object}       promise object 
+ * Looks up a cache entry in the store. The entry's meta is null if the response body exists but its meta doesn't. If a
+ * request key is provided, an entry stored for a different request key is treated as nonexistent.
+ * 
+ * @param {object} opt    {key: string, requestKey: string}
+ * @return {object}       promise object, resolves with the entry {key: string, meta: object, responseTime: number,
+ *                        size: number} or null if the response body didnt exist
  */
-CachedRequest.prototype.makeRequest = function(opt){
-  var self = this;
+CachedRequest.prototype.getCacheEntry = function(opt){
+  var self = this
+  ,   store = this.store
+  ,   entry = {key: opt.key, meta: null, responseTime: undefined, size: undefined}
+  ,   abort = false;
 
-  opt = opt || {};
-  lo.defaults(opt, {
+  // check if response file exists
+  return Q.ninvoke(store, 'stat', opt.key)
+  // response file doesn't exist or some other error
+  .fail(function(err){
+    abort = true;
+    if (err.code !== 'ENOENT') return Q.reject(err);
+    return Q.resolve(null);
+  })
+  .then(function(stats){
+    if (abort) return stats;
+
+    entry.responseTime = stats.mtime.getTime();
+    entry.size = stats.size;
+
+    // read the headers file
+    return self.getMeta(opt.key)
+    .then(function(meta){
+      // the key collides with the one of another request
+      if (opt.requestKey !== undefined && ! metadata.matchesRequestKey(meta, opt.requestKey)) return null;
+
+      entry.meta = meta;
+      return entry;
+    }, function(err){
+      // the entry can't be trusted, e.g. it was tampered with, see getMeta
+      if (err.code === 'EDECRYPT') return null;
+      if (err.code !== 'ENOENT') return Q.reject(err);
+      return entry;
+    });
+  });
+}
+
+/**
+ * Looks up the cache entry of a request. If the vary option is enabled and the response stored for the request had a
+ * Vary header, the variant selected by the request headers is looked up instead. If the migrateLegacyKeys option is
+ * enabled and nothing is stored under the cache key, the entry is migrated from its legacy key.
+ * 
+ * @param {object} opt    {key: string, requestKey: string, options: object}
+ * @return {object}       promise object, resolves with the entry or null, see getCacheEntry
+ */
+CachedRequest.prototype.lookupCacheEntry = function(opt){
+  var self = this
+  ,   options = opt.options;
+
+  return Q().then(function(){
+    if (! options.vary) return null;
+
+    return self.getMeta(opt.key)
+    .fail(function(err){
+      if (err.code !== 'ENOENT' && err.code !== 'EDECRYPT') return Q.reject(err);
+      return null;
+    });
+  })
+  .then(function(meta){
+    // variants are listed under the cache key of the request
+    if (meta && meta.vary && metadata.matchesRequestKey(meta, opt.requestKey)) {
+      return self.getCacheEntry(self.getVariant(opt.requestKey, meta.vary, options.headers));
+    }
+
+    return self.getCacheEntry({
+      key: opt.key,
+      requestKey: opt.requestKey
+    })
+    .then(function(entry){
+      if (entry || ! options.migrateLegacyKeys || options.vary) return entry;
+
+      return self.migrateLegacyEntry({
+        key: opt.key,
+        requestKey: opt.requestKey,
+        legacyKey: String(self.legacyHashKey(self.getLegacyRequestKey(options)))
+      });
+    });
+  });
+}
+
+/**
+ * Moves an entry stored under its legacy key (see legacyHashKey) to its cache key, recording its request key.
+ * 
+ * @param {object} opt    {key: string, requestKey: string, legacyKey: string}
+ * @return {object}       promise object, resolves with the migrated entry or null if there was no legacy entry
+ */
+CachedRequest.prototype.migrateLegacyEntry = function(opt){
+  var self = this
+  ,   store = this.store;
+
+  return this.getCacheEntry({key: opt.legacyKey})
+  .then(function(entry){
+    var def = Q.defer()
+    ,   reader
+    ,   writer;
+
+    if (! entry || ! entry.meta) return null;
+
+    reader = store.createReadStream(opt.legacyKey);
+    writer = store.createWriteStream(opt.key);
+
+    reader.on('error', def.reject);
+    writer.on('error', def.reject);
+    writer.on('finish', def.resolve);
+    reader.pipe(writer);
+
+    entry.key = opt.key;
+    lo.assign(entry.meta, metadata.getRequestKeyFields(opt.requestKey));
+
+    return def.promise
+    .then(function(){
+      return self.setMeta(opt.key, entry.meta);
+    })
+    .then(function(){
+      return Q.ninvoke(store, 'touch', opt.key, new Date(entry.responseTime));
+    })
+    .then(function(){
+      return Q.ninvoke(store, 'delete', opt.legacyKey);
+    })
+    .then(function(){
+      return entry;
+    });
+  });
+}
+
+/**
+ * Returns the status code a cache entry was stored with. Entries stored by previous versions were always 200s.
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @return {number}
+ */
+CachedRequest.prototype.getStatusCode = function(entry){
+  return entry && entry.meta && entry.meta.statusCode || 200;
+}
+
+/**
+ * Returns the freshness options of a cache entry: the negativeTtl option replaces the ttl option for error responses
+ * (4xx and 5xx) if it's set.
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @param {object} opt    see isFresh
+ * @return {object}
+ */
+CachedRequest.prototype.getFreshnessOptions = function(entry, opt){
+  if (typeof opt.negativeTtl !== "number" || this.getStatusCode(entry) < 400) return opt;
+  return lo.assign({}, opt, {ttl: opt.negativeTtl});
+}
+
+/**
+ * Returns true if a cache entry is still fresh: according to its response headers if the httpSemantics option is
+ * enabled, otherwise according to the ttl option (or negativeTtl, see getFreshnessOptions).
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @param {object} opt    {ttl: number, negativeTtl: number, httpSemantics: boolean, sharedCache: boolean,
+ *                        ttlMode: string}
+ * @return {boolean}
+ */
+CachedRequest.prototype.isFresh = function(entry, opt){
+  if (! opt.httpSemantics || ! entry.meta) return this.getStaleness(entry, opt) <= 0;
+  return freshness.isFresh(entry.meta.headers, entry.responseTime, this.getFreshnessOptions(entry, opt));
+}
+
+/**
+ * Returns the number of milliseconds a cache entry has been stale for, negative if it's still fresh.
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @param {object} opt    see isFresh
+ * @return {number}
+ */
+CachedRequest.prototype.getStaleness = function(entry, opt){
+  opt = this.getFreshnessOptions(entry, opt);
+  if (! opt.httpSemantics || ! entry.meta) return Date.now() - entry.responseTime - opt.ttl;
+  return freshness.getAge(entry.meta.headers, entry.responseTime) -
+    freshness.getTtl(entry.meta.headers, opt, entry.responseTime);
+}
+
+/**
+ * Returns true if a stale cache entry may still be used within a grace window given by an option, or by the
+ * Cache-Control directive of the same name if the httpSemantics option is enabled.
+ * 
+ * @param {object} entry      see getCacheEntry
+ * @param {object} opt        see isFresh
+ * @param {string} window     e.g. "staleWhileRevalidate"
+ * @return {boolean}
+ */
+CachedRequest.prototype.isWithinStaleWindow = function(entry, opt, window){
+  var grace = opt[window]
+  ,   directive;
+
+  if (opt.httpSemantics && entry.meta) {
+    directive = freshness.getStaleWindow(entry.meta.headers, lo.kebabCase(window));
+    if (directive !== undefined) grace = directive;
+  }
+
+  return grace > 0 && this.getStaleness(entry, opt) <= grace;
+}
+
+/**
+ * Streams a cache entry to the request middleware and callback, regardless of its freshness. If a file releaseLock
+ * function was provided, it will be called once the response file is opened for reading (once it's authenticated if
+ * it's encrypted, it isn't called if that fails, see openEntryBody). If the request is
+ * described for events (info, see notify), a "hit" event is emitted once the response file was read, before the
+ * callback is called.
+ * 
+ * @param opt 
+ * @return {object}     promise object, resolves with true once the response file was read
+ */
+CachedRequest.prototype.serveFromCache = function(opt){
+  var self = this
+  ,   meta;
+
+  opt = opt || {};
+  lo.defaults(opt, {
+    entry: undefined,
+    requestMiddleware: undefined,
+    json: undefined,
+    encoding: undefined,
+    callback: undefined,
+    releaseLock: undefined,
+    warning: undefined,
+    info: undefined
+  });
+
+  meta = opt.entry.meta;
+
+  if (! meta) {
+    var err = new Error('cached-request: metafile is inaccessible, but response was not');
+    err.key = opt.entry.key;
+    return Q.reject(err);
+  }
+
+  // Open the response file
+  return this.openEntryBody(opt.entry)
+  .fail(function (err) {
+    // If it doesn't exist, response that it needs to be fetched 
+    if (err.code === 'ENOENT'){
+      err = new Error('cached-request: response file became inaccessible before it could be read');
+      err.key = opt.entry.key;
+    }
+    return Q.reject(err);
+  })
+  .then(function (responseReader) {
+    var def = Q.defer();
+
+    // consider this a successful cachehit and release file lock so other commands/processes can access it
+    if (typeof(opt.releaseLock) === 'function'){
+      opt.releaseLock();
+    }
+
+    responseReader.on("error", function (err) {
+      def.reject(err);
+    });
+
+    //Create a fake response object replaying the stored one
+    var response = new Response();
+    response.statusCode = meta.statusCode;
+    response.statusMessage = meta.statusMessage;
+    response.httpVersion = meta.httpVersion;
+    response.httpVersionMajor = parseInt(meta.httpVersion.split(".")[0], 10);
+    response.httpVersionMinor = parseInt(meta.httpVersion.split(".")[1], 10);
+    response.headers = lo.clone(meta.headers);
+    response.rawHeaders = meta.rawHeaders.slice();
+    response.trailers = lo.clone(meta.trailers);
+    response.rawTrailers = meta.rawTrailers.slice();
+    response.request = {
+      uri: meta.url ? url.parse(meta.url) : undefined,
+      href: meta.url,
+      method: meta.method || "GET",
+      headers: {}
+    };
+    //Notify the response comes from the cache.
+    response.headers["x-from-cache"] = 1;
+    response.rawHeaders.push("X-From-Cache", "1");
+    //Warn the response is stale, e.g. '110 - "Response is Stale"'
+    if (opt.warning) {
+      response.headers["warning"] = opt.warning;
+      response.rawHeaders.push("Warning", opt.warning);
+    }
+    response.caseless = caseless(response.headers);
+    //Emit the "response" event to the client sending the fake response
+    opt.requestMiddleware.emit("response", response);
+
+    var stream = compression.createDecompressStream(metadata.getCompression(meta));
+    if (! stream) {
+      stream = responseReader;
+    } else {
+      // Decompress the response file
+      responseReader.on('error', function (error) {
+        stream.end();
+      });
+      stream.on('error', function (error) {
+        if (typeof responseReader.close === 'function') responseReader.close();
+        def.reject(error);
+      });
+      responseReader.pipe(stream);
+    }
+
+    //Read the response file
+    var responseBody;
+    stream.on("data", function (data) {
+      //Write to the response
+      response.write(data);
+      //If a callback was provided, then buffer the response to send it later
+      if (opt.callback) {
+        responseBody = responseBody ? Buffer.concat([responseBody, data]) : data;
+      }
+      //Push data to the client's request
+      opt.requestMiddleware.push(data);
+    });
+
+    stream.on("end", function () {
+      //End response
+      response.end();
+      //A stale response is served with a warning
+      if (opt.info) {
+        self.notify("hit", opt.info, {
+          key: opt.entry.key,
+          size: opt.entry.size,
+          age: Date.now() - opt.entry.responseTime,
+          stale: !! opt.warning
+        });
+      };
+      //If a callback was provided
+      if (opt.callback) {
+        //Decode and parse (if needed) the response body like request does, and set the response.body
+        responseBody = response.body = decodeBody(responseBody, opt);
+        //callback with the response and body
+        opt.callback(null, response, responseBody);
+      };
+      opt.requestMiddleware.push(null);
+      def.resolve(true);
+    });
+
+    return def.promise;
+  });
+}
+
+/**
+ * Returns the conditional request headers to revalidate a cache entry with, or null if the entry has no validators.
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @return {object|null}
+ */
+CachedRequest.prototype.getValidators = function(entry){
+  var validators = {};
+
+  if (! entry || ! entry.meta) return null;
+  if (entry.meta.headers.etag) validators['If-None-Match'] = entry.meta.headers.etag;
+  if (entry.meta.headers['last-modified']) validators['If-Modified-Since'] = entry.meta.headers['last-modified'];
+
+  return lo.isEmpty(validators) ? null : validators;
+}
+
+/**
+ * Refreshes a revalidated cache entry: merges the headers of the 304 response into the metafile and resets the
+ * response file's modification time, which is what its freshness is computed from.
+ * 
+ * @param {object} opt    {entry: object, headers: object, rawHeaders: array}
+ * @return {object}       promise object, resolves with the refreshed entry
+ */
+CachedRequest.prototype.refreshCacheEntry = function(opt){
+  var store = this.store
+  ,   now = new Date()
+  ,   meta = lo.assign(metadata.refresh(opt.entry.meta, opt.headers, opt.rawHeaders), {responseTime: now.getTime()});
+
+  return this.setMeta(opt.entry.key, meta)
+  .then(function(){
+    return Q.ninvoke(store, 'touch', opt.entry.key, now);
+  })
+  .then(function(){
+    return {key: opt.entry.key, meta: meta, responseTime: now.getTime(), size: opt.entry.size};
+  });
+}
+
+/**
+ * Returns true if a response with a status code may be cached: 2xx responses always are, others if they're listed in
+ * the cacheableStatusCodes option (e.g. 404 or 410 to avoid requesting known missing resources again).
+ * 
+ * @param {number} statusCode 
+ * @param {object} opt          {cacheableStatusCodes: array}
+ * @return {boolean}
+ */
+CachedRequest.prototype.isCacheableStatus = function(statusCode, opt){
+  if (! statusCode) return false;
+  if (statusCode >= 200 && statusCode < 300) return true;
+  return lo.includes(opt.cacheableStatusCodes, statusCode);
+}
+
+/**
+ * Makes the request and writes the response to the cache. If a stale cache entry with validators was provided and the
+ * revalidate option is enabled, the request is made conditional and a 304 response is served from the refreshed cache
+ * entry. If the staleIfError option is enabled, the stale cache entry is served when the request fails or the server
+ * responds with a 5xx status code.
+ * 
+ * @param {object} opt 
+ * @return {object}       promise object 
+ */
+CachedRequest.prototype.makeRequest = function(opt){
+  var self = this;
+
+  opt = opt || {};
+  lo.defaults(opt, {
     reqargs: undefined,
-    responsePath: undefined,
-    metaPath: undefined,
+    key: undefined,
+    requestKey: undefined,
     requestMiddleware: undefined,
-    callback: undefined
+    callback: undefined,
+    httpSemantics: false,
+    sharedCache: false,
+    vary: false,
+    cacheableStatusCodes: [],
+    entry: undefined,
+    revalidate: false,
+    staleIfError: false,
+    info: undefined,
+    flight: undefined
   });
 
   var cacheEvents = new EventEmitter()
   ,   releaseLock
-  ,   reqopt = opt.reqargs[0];
+  ,   reqopt = opt.reqargs[0]
+  ,   validators = opt.revalidate ? self.getValidators(opt.entry) : null
+  // describes the request in the emitted events, see notify
+  ,   info = opt.info || {options: reqopt, key: opt.key, requestKey: opt.requestKey, startTime: Date.now()};
 
   cacheEvents.ended = false;
+  cacheEvents.revalidating = !! validators;
+  cacheEvents.staleIfError = !! opt.entry && opt.staleIfError;
+  cacheEvents.responded = false;
+  cacheEvents.servedFromCache = false;
+
+  // responses and errors that are answered with the cache entry instead: a 304 to a revalidation, or a failure while
+  // the stale entry may be served
+  cacheEvents.replacesResponse = function(response){
+    if (response.statusCode === 304) return cacheEvents.revalidating;
+    return response.statusCode >= 500 && cacheEvents.staleIfError;
+  };
+  cacheEvents.replacesError = function(error){
+    return cacheEvents.staleIfError && ! cacheEvents.responded;
+  };
+
+  // make the request conditional, without touching the caller's options
+  if (validators){
+    reqopt = opt.reqargs[0] = lo.assign({}, reqopt, {
+      headers: lo.assign({}, reqopt.headers, validators)
+    });
+  }
 
   cacheEvents.on('end', function(){ 
     cacheEvents.ended = true; 
@@ -334,81 +1246,238 @@ CachedRequest.prototype.makeRequest = function(opt){
   if (opt.callback){
     opt.reqargs[opt.reqargs.length - 1] = function callbackWrap(){
       var cbargs = arguments;
-      if (cacheEvents.ended) return opt.callback.apply(null, cbargs); 
-      cacheEvents.once('end', function(){ 
+      var callback = function(){
+        // the callback is called when serving the cache entry instead
+        if (cacheEvents.servedFromCache) return;
         return opt.callback.apply(null, cbargs);
-      });
+      };
+      if (cacheEvents.ended) return callback(); 
+      cacheEvents.once('end', callback);
     };
   }
 
   return Q().then(function(){
     var def = Q.defer()
+    ,   requestTime = Date.now()
     ,   request = self.request.apply(null, opt.reqargs);
 
+    // respond with the stale cache entry instead of the failed request
+    var serveStale = function(){
+      cacheEvents.servedFromCache = true;
+
+      return self.serveFromCache({
+        entry: opt.entry,
+        requestMiddleware: opt.requestMiddleware,
+        json: reqopt.json,
+        encoding: reqopt.encoding,
+        callback: opt.callback,
+        releaseLock: opt.releaseLock,
+        warning: '111 - "Revalidation Failed"',
+        info: info
+      })
+      .then(def.resolve, def.reject);
+    };
+
     opt.requestMiddleware.use(request, cacheEvents);
 
-    request.on('error', def.reject); 
+    request.on('error', function (error) {
+      if (! cacheEvents.replacesError(error)) {
+        if (opt.flight) opt.flight.fail(error);
+        return def.reject(error);
+      }
+
+      self.handleError(error, info);
+      serveStale();
+    }); 
 
     request.on("response", function (response) {
       var contentEncoding
-      ,   gzipper
+      ,   decoder
+      ,   compressor
+      ,   codec
       ,   meta
-      ,   responseWriter;
+      ,   vary
+      ,   target
+      ,   responseWriter
+      ,   bodyWriter
+      ,   keyring
+      ,   encryptor
+      ,   storedSize = 0
+      ,   responseTime = Date.now();
+
+      cacheEvents.responded = true;
+
+      if (cacheEvents.revalidating){
+        self.notify('revalidate', info, {
+          key: opt.entry.key,
+          statusCode: response.statusCode,
+          notModified: response.statusCode === 304
+        });
+      }
+
+      // server error, respond from the stale cache entry
+      if (response.statusCode >= 500 && cacheEvents.replacesResponse(response)){
+        response.resume();
+        return serveStale();
+      }
+
+      // stale entry is still valid: refresh it and respond from the cache
+      if (response.statusCode === 304 && cacheEvents.replacesResponse(response)){
+        cacheEvents.servedFromCache = true;
+        response.resume();
+
+        return self.refreshCacheEntry({
+          entry: opt.entry,
+          headers: response.headers,
+          rawHeaders: response.rawHeaders
+        })
+        .then(function(entry){
+          return self.serveFromCache({
+            entry: entry,
+            requestMiddleware: opt.requestMiddleware,
+            json: reqopt.json,
+            encoding: reqopt.encoding,
+            callback: opt.callback,
+            releaseLock: opt.releaseLock,
+            info: info
+          });
+        })
+        .then(def.resolve, def.reject);
+      }
+
+      // the response of the server is passed on, unless nobody waits for it
+      if (! info.background){
+        self.notify('miss', info, {statusCode: response.statusCode});
+      }
 
-      //Only cache successful responses
-      if (! response.statusCode || response.statusCode < 200 || response.statusCode >= 300){
-        request.abort();
+      // and to the concurrent requests for the same key
+      if (opt.flight){
+        opt.flight.respond(response);
+      }
+
+      //Only cache successful responses, and the ones with a status code listed in the cacheableStatusCodes option.
+      //The others are let through without storing them
+      if (! self.isCacheableStatus(response.statusCode, opt)){
         return def.resolve();
       }
 
-      response.on('error', function (error) {
-        self.handleError(error);
-      });
+      // let the response through without storing it if its headers forbid it
+      if (opt.httpSemantics && ! freshness.isStorable(response.headers, opt)){
+        return def.resolve();
+      }
 
-      // save metadata: response headers and gzipped flag
-      meta = lo.clone(response.headers);
+      // store the response as the variant selected by the request headers listed in its Vary header
+      vary = opt.vary ? self.parseVary(response.headers['vary']) : [];
+      target = vary.length ? self.getVariant(opt.requestKey, vary, reqopt.headers) : {
+        key: opt.key,
+        requestKey: opt.requestKey
+      };
+
+      // Vary: * means the response can't be selected for any later request
+      if (vary.indexOf('*') !== -1){
+        return def.resolve();
+      }
 
-      meta._gzipResponse = reqopt.gzipResponse;
+      response.on('error', function (error) {
+        self.handleError(error, info);
+      });
 
-      responseWriter = fs.createWriteStream(opt.responsePath);
+      responseWriter = self.store.createWriteStream(target.key);
 
       responseWriter.on('error', function (error) {
-        self.handleError(error);
+        self.handleError(error, info);
       });
 
+      // encrypt the response on its way to the store, see encryption.js
+      keyring = self.getKeyring();
+      if (keyring) {
+        encryptor = encryption.createEncryptStream(keyring.key, target.key);
+        encryptor.pipe(responseWriter);
+      }
+      bodyWriter = encryptor || responseWriter;
+
+      // a response received encoded is stored as received, unless it's decoded first, see compression.js
+      contentEncoding = compression.normalizeEncoding(response.headers['content-encoding']);
+      if (reqopt.decodeResponse && compression.getEncodingCodec(contentEncoding)) {
+        decoder = compression.createDecompressStream(compression.getEncodingCodec(contentEncoding));
+      }
+      codec = contentEncoding && ! decoder ? "none" : self.getCompression(reqopt);
+      compressor = compression.createCompressStream(codec, reqopt.compressionLevel);
+
       responseWriter.on('finish', function(){
-    
-        // write metadata file
-        writeFileAtomic(opt.metaPath, JSON.stringify(meta), function (error) {
-          if (error) self.handleError(error);
-          def.resolve(); 
+        // save metadata once the response ended, so that its trailers are known: status, headers, compression codec
+        // and request key, see meta.js
+        meta = metadata.fromResponse(response, {
+          requestKey: target.requestKey,
+          compression: codec,
+          requestTime: requestTime,
+          responseTime: responseTime,
+          freshness: lo.pick(reqopt, FRESHNESS_OPTIONS)
         });
-      });
 
-      //
-      contentEncoding = response.headers['content-encoding'] || '';
-      contentEncoding = contentEncoding.trim().toLowerCase();
+        // the headers describe the body as it was received
+        if (decoder) meta = metadata.omitHeaders(meta, ['content-encoding', 'content-length']);
 
-      if (contentEncoding === 'gzip' || ! reqopt.gzipResponse) {
-        response.on('error', function (error) {
-          responseWriter.end();
-        });
-        response.pipe(responseWriter);
-      } else {
-        gzipper = zlib.createGzip();
-        response.on('error', function (error) {
-          gzipper.end();
-        });
-        gzipper.on('error', function (error) {
-          self.handleError(error);
-          responseWriter.end();
-        });
-        responseWriter.on('error', function (error) {
-          response.unpipe(gzipper);
-          gzipper.end();
+        // the key the response is decrypted with
+        if (encryptor) meta.encryption = {keyId: keyring.keyId};
+
+        // a refreshed response keeps its usage, see recordAccess
+        if (opt.entry && opt.entry.meta && opt.entry.key === target.key) {
+          lo.assign(meta, lo.pick(opt.entry.meta, ['accessTime', 'hits']));
+        }
+
+        // write metadata file
+        self.setMeta(target.key, meta)
+        .then(function(){
+          if (! vary.length) return;
+
+          // list the variants under the cache key of the request, replacing what was stored there, along with the
+          // variants stored before so that they're invalidated together, see deleteRequestEntries
+          return self.getMeta(opt.key)
+          .fail(function(err){
+            if (err.code !== 'ENOENT' && err.code !== 'EDECRYPT') return Q.reject(err);
+            return null;
+          })
+          .then(function(listing){
+            var variants = listing && metadata.matchesRequestKey(listing, opt.requestKey) && listing.variants || [];
+
+            return Q.ninvoke(self.store, 'delete', opt.key)
+            .then(function(){
+              return self.setMeta(opt.key,
+                metadata.forVariants(opt.requestKey, vary, lo.union(variants, [target.key])));
+            });
+          });
+        })
+        .then(function(){
+          self.notify('store', info, {
+            key: target.key,
+            requestKey: target.requestKey,
+            size: storedSize,
+            statusCode: response.statusCode
+          });
+          self.scheduleGc();
+        })
+        .fail(function (error) {
+          self.handleError(error, info);
+        })
+        .fin(def.resolve)
+        .done();
+      });
+
+      // response -> decoder -> compressor -> encryptor -> store
+      lo.compact([response, decoder, compressor, bodyWriter]).reduce(function (source, target) {
+        source.on('error', function (error) {
+          // the errors of the response are reported above
+          if (source !== response) self.handleError(error, info);
+          target.end();
         });
-        response.pipe(gzipper).pipe(responseWriter);
-      }
+        return source.pipe(target);
+      });
+
+      // the size of the body as it's stored
+      (encryptor || compressor || decoder || response).on('data', function (data) {
+        storedSize += data.length;
+      });
     });
     self.emit("request", opt.reqargs[0]);
 
@@ -419,106 +1488,1439 @@ CachedRequest.prototype.makeRequest = function(opt){
       if (typeof(opt.releaseLock) === 'function'){    
         opt.releaseLock();
       }
+      // before the callback is called, the next requests look up the cache
+      if (opt.flight){
+        self.settleFlight(opt.key, opt.flight);
+      }
       cacheEvents.emit('end');
   });
 }
 
-CachedRequest.prototype.cachedRequest = function () {
+/**
+ * Refreshes a cache entry without a caller waiting for the response.
+ * 
+ * @param {object} opt    {entry: object, options: object, releaseLock: function, key: string, requestKey: string,
+ *                        info: object}
+ */
+CachedRequest.prototype.refreshInBackground = function(opt){
   var self = this
-  ,   requestMiddleware = new RequestMiddleware()
-  ,   args = arguments
-  ,   options = args[0]
-  ,   callback
-  ,   metaPath
-  ,   responsePath
-  ,   cachehit = false
-  ,   releaseLock;
+  ,   requestMiddleware = new RequestMiddleware();
+
+  // nobody reads the response, discard it
+  requestMiddleware.resume();
+
+  self.makeRequest({
+    entry: opt.entry,
+    revalidate: opt.options.revalidate,
+    reqargs: [lo.clone(opt.options)],
+    releaseLock: opt.releaseLock,
+    key: opt.key,
+    requestKey: opt.requestKey,
+    requestMiddleware: requestMiddleware,
+    httpSemantics: opt.options.httpSemantics,
+    sharedCache: opt.options.sharedCache,
+    vary: opt.options.vary,
+    cacheableStatusCodes: opt.options.cacheableStatusCodes,
+    info: lo.assign({}, opt.info, {background: true})
+  })
+  .fail(function(err){
+    self.handleError(err, opt.info);
+  })
+  .done();
+}
 
-  lo.defaults(options, {
-    ttl: 0, 
-    gzipResponse: true,
-    lockOpt: undefined  // see this.lockOpt and getLockOpt, some options need to be enforced
-  });
+/**
+ * Streams the response of the request of this process fetching a cache key (see Flight) to the request middleware and
+ * callback as it's received, instead of waiting for it to be cached. The response is marked as coming from the cache,
+ * since the request wasn't made for this caller.
+ * 
+ * @param {object} opt    {flight: object, requestMiddleware: object, json: mixed, encoding: string, callback: function,
+ *                        info: object}
+ * @return {object}       promise object, resolves with true once the response ended, or false if the flight settled
+ *                        without a response (e.g. it was served from the cache)
+ */
+CachedRequest.prototype.joinFlight = function(opt){
+  var self = this
+  ,   flight = opt.flight
+  ,   def = Q.defer();
+
+  var fail = function(error){
+    // like the request of the flight would, see RequestMiddleware.use
+    if (EventEmitter.listenerCount(opt.requestMiddleware, "error")) {
+      opt.requestMiddleware.emit("error", error);
+      if (! opt.callback) return def.resolve(true);
+    }
+    def.reject(error);
+  };
 
-  var lockOpt = self.getLockOpt(options.lockOpt);
+  var serve = function(upstream){
+    var response = new Response()
+    ,   request = upstream.request || {}
+    ,   chunks = []
+    ,   size = 0;
+
+    var onData = function(data){
+      size += data.length;
+      response.write(data);
+      if (opt.callback) chunks.push(data);
+      opt.requestMiddleware.push(data);
+    };
 
-  if (typeof options != "object") {
-    throw new Error("An options object must provided. e.g: request(options)")
-  }
+    var onEnd = function(){
+      var body;
+
+      flight.removeListener("data", onData);
+      response.trailers = lo.clone(upstream.trailers || {});
+      response.rawTrailers = (upstream.rawTrailers || []).slice();
+      response.end();
+      if (opt.info) {
+        self.notify("hit", opt.info, {size: size, age: 0, stale: false, coalesced: true});
+      };
+      if (opt.callback) {
+        body = response.body = decodeBody(Buffer.concat(chunks), opt);
+        opt.callback(null, response, body);
+      };
+      opt.requestMiddleware.push(null);
+      def.resolve(true);
+    };
 
-  if (typeof args[args.length - 1] == "function") {
-    callback = args[args.length - 1];
-  };
+    response.statusCode = upstream.statusCode;
+    response.statusMessage = upstream.statusMessage;
+    response.httpVersion = upstream.httpVersion;
+    response.httpVersionMajor = upstream.httpVersionMajor;
+    response.httpVersionMinor = upstream.httpVersionMinor;
+    response.headers = lo.clone(upstream.headers);
+    response.rawHeaders = (upstream.rawHeaders || metadata.toRawHeaders(upstream.headers)).slice();
+    response.request = {
+      uri: request.uri,
+      href: request.uri ? request.uri.href : request.href,
+      method: request.method || "GET",
+      headers: {}
+    };
+    response.headers["x-from-cache"] = 1;
+    response.rawHeaders.push("X-From-Cache", "1");
+    response.caseless = caseless(response.headers);
+    opt.requestMiddleware.emit("response", response);
 
-  responsePath = this.getResponsePath(options); 
-  metaPath = this.getMetaPath(options); 
+    // attached before the first chunk of the body, see Flight
+    if (flight.ended) return onEnd();
 
-  // obtain lock on response file path (atomic for multi-process) 
-  Q.nfcall(lockfile.lock, responsePath, lockOpt)
-  // lock file exists means response is currently being written
-  .fail(function(err){
-    // some other error, abort everything 
-    if (err.code !== 'ELOCKED') return Q.reject(err);
+    flight.on("data", onData);
+    flight.once("end", onEnd);
+  };
 
-    // don't wait for response to be written
-    if (! lockOpt.retry) return;
+  if (flight.error) {
+    fail(flight.error);
+  } else if (flight.response) {
+    serve(flight.response);
+  } else if (flight.settled) {
+    def.resolve(false);
+  } else {
+    flight.once("response", serve);
+    flight.once("settle", function(){
+      if (! flight.response && ! flight.error) def.resolve(false);
+    });
+  }
+  flight.once("failure", fail);
 
-    // wait for lockfile to be released
-    var op = retry.operation(lockOpt.retry)
-    ,   def = Q.defer();
+  return def.promise;
+}
 
-    op.attempt(function(attempt){
-      lockfile.check(responsePath, function(err, locked){
-        // retry on error or still locked
-        if (op.retry(err || locked)){
-          return;
-        }
+/**
+ * Settles the flight of a cache key once its request is done, see Flight. The following requests for the key look up
+ * the cache again.
+ * 
+ * @param {string} key 
+ * @param {object} flight 
+ */
+CachedRequest.prototype.settleFlight = function(key, flight){
+  if (this._inflight[key] === flight) delete this._inflight[key];
+  flight.settle();
+}
 
-        // no retries left, error checking for lockfile
-        if (err) return def.reject(err);
+/**
+ * Returns true if a request must be served from the cache without making it, according to the mode option.
+ * 
+ * @param {object} options    request options
+ * @return {boolean}
+ */
+CachedRequest.prototype.isOffline = function(options){
+  return options.mode === "only-if-cached" || options.mode === "replay";
+}
 
-        // file done being written 
-        def.resolve();
-      });
-    });
-    return def.promise;
-  })
-  // no lock, lock obtained, or done waiting for lock to unlock
-  .then(function(r){
-    releaseLock = r; 
-
-    // try to read from cache
-    return self.readFromCache({
-      ttl: options.ttl, 
-      responsePath: responsePath,
-      metaPath: metaPath,
-      requestMiddleware: requestMiddleware,
-      json: options.json,
-      callback: callback, 
-      releaseLock: releaseLock
-    });
-  })
-  .then(function(c){
-    cachehit = c;
+/**
+ * Returns the error a request that isn't cached fails with when it mustn't be made, see isOffline. Its code is
+ * ENOTCACHED in "only-if-cached" mode and ENOTRECORDED in "replay" mode.
+ * 
+ * @param {object} options    request options
+ * @return {Error}
+ */
+CachedRequest.prototype.getNotCachedError = function(options){
+  var method = (options.method || "GET").toUpperCase()
+  ,   uri = this.normalizeOptions(options).url
+  ,   error;
+
+  if (options.mode === "replay") {
+    error = new Error("cached-request: no recorded response for " + method + " " + uri + " in replay mode");
+    error.code = 'ENOTRECORDED';
+  } else {
+    error = new Error("cached-request: no cached response for " + method + " " + uri + " (only-if-cached)");
+    error.code = 'ENOTCACHED';
+  }
+  error.method = method;
+  error.url = uri;
+  error.offline = true;
 
-    // cache file exists, nothing else to do
-    if (cachehit) return;
-    
+  return error;
+}
+
+/**
+ * Returns true if the responses to a request may be cached, according to the cacheableMethods option.
+ * 
+ * @param {object} options    request options
+ * @return {boolean}
+ */
+CachedRequest.prototype.isCacheable = function(options){
+  var method = (options.method || "GET").toUpperCase();
+
+  return lo.some(options.cacheableMethods, function(cacheable){
+    return String(cacheable).toUpperCase() === method;
+  });
+}
+
+/**
+ * Returns the url a cache entry was stored for, or undefined if it can't be told (e.g. entries stored under a key
+ * returned by the cacheKey option).
+ * 
+ * @param {object} meta 
+ * @return {string|undefined}
+ */
+CachedRequest.prototype.getEntryUrl = function(meta){
+  return meta ? metadata.getRequestKeyUrl(meta.requestKey) : undefined;
+}
+
+/**
+ * Locks a cache entry, waiting for it to be unlocked if it's already locked (e.g. while its response is written).
+ * 
+ * @param {string} key 
+ * @param {object} lockOpt    see getLockOpt
+ * @return {object}           promise object, resolves with the release function, rejected with an ELOCKED error if
+ *                            the entry is still locked once the retries of lockOpt are exhausted
+ */
+CachedRequest.prototype.lockEntry = function(key, lockOpt){
+  var store = this.store
+  ,   op = retry.operation(lockOpt.retry || {retries: 0})
+  ,   def = Q.defer();
+
+  op.attempt(function(){
+    store.lock(key, lockOpt, function(err, release){
+      if (err && err.code === 'ELOCKED' && op.retry(err)) return;
+      if (err) return def.reject(err);
+      def.resolve(release);
+    });
+  });
+
+  return def.promise;
+}
+
+/**
+ * Deletes a cache entry (response and meta) while holding its lock.
+ * 
+ * @param {string} key 
+ * @param {object} lockOpt      see getLockOpt
+ * @param {function} [check]    called with the key once the lock is held, the entry is only deleted if the promise
+ *                              it returns resolves with true
+ * @return {object}             promise object, resolves with true if the entry was deleted
+ */
+CachedRequest.prototype.deleteEntry = function(key, lockOpt, check){
+  var store = this.store;
+
+  return this.lockEntry(key, lockOpt)
+  .then(function(release){
+    return Q(check ? check(key) : true)
+    .then(function(confirmed){
+      if (! confirmed) return false;
+      return Q.ninvoke(store, 'delete', key).thenResolve(true);
+    })
+    .fin(function(){
+      return Q.nfcall(release);
+    });
+  });
+}
+
+/**
+ * Returns a function telling whether a cache entry matches: a string matches the entries stored for urls starting with
+ * it, a regular expression the entries stored for urls it matches, and a function is called with the meta and the
+ * cache key of each entry.
+ * 
+ * @param {string|RegExp|function} matcher 
+ * @return {function}     function(meta, key) returning a boolean
+ */
+CachedRequest.prototype.getEntryMatcher = function(matcher){
+  var self = this
+  ,   prefix;
+
+  if (typeof matcher === "function") return matcher;
+
+  if (lo.isRegExp(matcher)) {
+    return function(meta){
+      var uri = self.getEntryUrl(meta);
+      return uri !== undefined && matcher.test(uri);
+    };
+  }
+
+  if (typeof matcher === "string") {
+    // same form as the urls in the cache keys, e.g. lower-cased host
+    prefix = /^[a-z][a-z0-9+.-]*:\/\//i.test(matcher) && matcher.indexOf("?") === -1 ?
+      canonicalizeUrl(matcher, {}) : matcher;
+
+    return function(meta){
+      var uri = self.getEntryUrl(meta);
+      return uri !== undefined && lo.startsWith(uri, prefix);
+    };
+  }
+
+  throw new Error("cached-request: purge expects a url prefix, a regular expression or a function");
+}
+
+/**
+ * Deletes the cache entries matching a url prefix, a regular expression or a predicate over their meta, see
+ * getEntryMatcher.
+ * 
+ * @param {string|RegExp|function} matcher 
+ * @param {function} [callback]   callback(error, deleted)
+ * @return {object}               promise object, resolves with the number of deleted entries
+ */
+CachedRequest.prototype.purge = function(matcher, callback){
+  var self = this
+  ,   lockOpt = this.getLockOpt()
+  ,   matches;
+
+  return Q().then(function(){
+    matches = self.getEntryMatcher(matcher);
+    return Q.ninvoke(self.store, 'list');
+  })
+  .then(function(keys){
+    return mapLimit(keys, SCAN_CONCURRENCY, function(key){
+      return self.getMeta(key)
+      .then(function(meta){
+        if (! matches(meta, key)) return 0;
+        return self.deleteEntry(key, lockOpt).thenResolve(1);
+      }, function(err){
+        // deleted in the meantime, or the response is still being written. Entries that can't be decrypted can't be
+        // matched, gc deletes them
+        if (err.code === 'ENOENT' || err.code === 'EDECRYPT') return 0;
+        return Q.reject(err);
+      });
+    });
+  })
+  .then(function(deleted){
+    return lo.sum(deleted);
+  })
+  .nodeify(callback);
+}
+
+/**
+ * Deletes the cache entry of a request, and the variants stored for it if the vary option is enabled.
+ * 
+ * @param {string|object} uri       url or request options
+ * @param {object} [options]        request options
+ * @param {function} [callback]     callback(error, deleted)
+ * @return {object}                 promise object, resolves with the number of deleted entries
+ */
+CachedRequest.prototype.invalidate = function(uri, options, callback){
+  var self = this
+  ,   params = initParams(uri, options, callback)
+  ,   lockOpt
+  ,   requestKey
+  ,   key;
+
+  return Q().then(function(){
+    options = self.getOptions(params.options);
+    lockOpt = self.getLockOpt(options.lockOpt);
+    requestKey = self.getRequestKey(options);
+    key = self.hashKey(requestKey);
+
+    return self.deleteRequestEntries(key, requestKey, lockOpt);
+  })
+  .nodeify(params.callback);
+}
+
+/**
+ * Deletes the cache entry stored for a request key, and the variants listed under it if its response varied by
+ * request headers, see deleteVariants.
+ * 
+ * @param {string} key
+ * @param {string} requestKey
+ * @param {object} lockOpt
+ * @return {object}             promise object, resolves with the number of deleted entries
+ */
+CachedRequest.prototype.deleteRequestEntries = function(key, requestKey, lockOpt){
+  var self = this;
+
+  return this.getMeta(key)
+  .fail(function(err){
+    if (err.code !== 'ENOENT' && err.code !== 'EDECRYPT') return Q.reject(err);
+    return null;
+  })
+  .then(function(meta){
+    if (! meta || ! metadata.matchesRequestKey(meta, requestKey)) return 0;
+
+    return Q.all([
+      self.deleteEntry(key, lockOpt).thenResolve(1),
+      meta.vary ? self.deleteVariants(meta, lockOpt) : 0
+    ])
+    .then(function(deleted){
+      return lo.sum(deleted);
+    });
+  });
+}
+
+/**
+ * Deletes the variants of a request listed by the meta stored under its cache key (see forVariants in meta.js).
+ * 
+ * @param {object} listing    meta listing the variants
+ * @param {object} lockOpt
+ * @return {object}           promise object, resolves with the number of deleted entries
+ */
+CachedRequest.prototype.deleteVariants = function(listing, lockOpt){
+  var self = this;
+
+  // listings written before the variants were recorded: variants are stored under request keys extended with the
+  // values of the request headers they vary on
+  if (! listing.variants) {
+    return this.purge(function(meta){
+      return lo.startsWith(meta.requestKey, listing.requestKey + "\n");
+    });
+  }
+
+  return Q.all(listing.variants.map(function(key){
+    return Q.ninvoke(self.store, 'stat', key)
+    .then(function(){
+      return self.deleteEntry(key, lockOpt).thenResolve(1);
+    }, function(err){
+      // evicted in the meantime
+      if (err.code === 'ENOENT') return 0;
+      return Q.reject(err);
+    });
+  }))
+  .then(function(deleted){
+    return lo.sum(deleted);
+  });
+}
+
+/**
+ * Deletes the cache entries stored for the url of a request by the requests made to it with a cacheable method, with
+ * the headers of the request or none, and without a body (or with the json flag), along with their variants. They're
+ * looked up by their cache keys rather than by scanning the store, so the entries stored for other request headers or
+ * under a key returned by the cacheKey option are left.
+ * 
+ * @param {object} options    request options, see normalizeOptions
+ * @return {object}           promise object, resolves with the number of deleted entries
+ */
+CachedRequest.prototype.invalidateUrl = function(options){
+  var self = this
+  ,   lockOpt = this.getLockOpt(options.lockOpt)
+  ,   base = lo.omit(options, ["body", "form", "formData", "json", "cacheKey"])
+  ,   requestKeys = [];
+
+  (options.cacheableMethods || []).forEach(function(method){
+    [options.headers, {}].forEach(function(headers){
+      [undefined, true].forEach(function(json){
+        requestKeys.push(JSON.stringify(self.normalizeOptions(lo.assign({}, base, {
+          method: String(method).toUpperCase(),
+          headers: headers,
+          json: json
+        }))));
+      });
+    });
+  });
+
+  return Q.all(lo.uniq(requestKeys).map(function(requestKey){
+    return self.deleteRequestEntries(self.hashKey(requestKey), requestKey, lockOpt);
+  }))
+  .then(function(deleted){
+    return lo.sum(deleted);
+  });
+}
+
+/**
+ * Returns true if the size of the cache is bounded by the maxSize or maxEntries option.
+ * 
+ * @return {boolean}
+ */
+CachedRequest.prototype.isBounded = function(){
+  return this.maxSize > 0 || this.maxEntries > 0;
+}
+
+/**
+ * Records that a cache entry is served, for the eviction policy of bounded caches. Accesses are counted in memory
+ * rather than rewriting the meta on every hit, they're written to the metas at most once every gcInterval
+ * milliseconds, see flushAccesses.
+ * 
+ * @param {object} entry    see getCacheEntry
+ */
+CachedRequest.prototype.recordAccess = function(entry){
+  var self = this;
+
+  if (! this.isBounded() || ! entry.meta) return;
+
+  this.addAccess(entry.key, {accessTime: Date.now(), hits: 1});
+
+  if (this._flush || Date.now() - this._lastFlush < this.gcInterval) return;
+
+  this.flushAccesses()
+  .fail(function(err){
+    self.handleError(err);
+  })
+  .done();
+}
+
+/**
+ * Adds accesses to the ones of a cache entry that aren't written to its meta yet.
+ * 
+ * @param {string} key 
+ * @param {object} access   {accessTime: number, hits: number}
+ */
+CachedRequest.prototype.addAccess = function(key, access){
+  var recorded = this._accesses[key] || {accessTime: 0, hits: 0};
+
+  this._accesses[key] = {
+    accessTime: Math.max(recorded.accessTime, access.accessTime),
+    hits: recorded.hits + access.hits
+  };
+}
+
+/**
+ * Writes the accesses counted by recordAccess to the metas of the entries (accessTime and hits, see meta.js) while
+ * holding their lock, so that it doesn't overwrite a newer meta. The accesses to the entries that are locked are
+ * written the next time.
+ * 
+ * @return {object}   promise object
+ */
+CachedRequest.prototype.flushAccesses = function(){
+  var self = this
+  ,   accesses = this._accesses
+  ,   lockOpt = lo.assign(this.getLockOpt(), {retry: null});
+
+  if (this._flush) return this._flush;
+
+  this._accesses = {};
+  this._lastFlush = Date.now();
+
+  this._flush = mapLimit(Object.keys(accesses), SCAN_CONCURRENCY, function(key){
+    var access = accesses[key];
+
+    return self.lockEntry(key, lockOpt)
+    .then(function(release){
+      return self.getMeta(key)
+      .then(function(meta){
+        // e.g. the response now varies by request headers, its meta lists the variants
+        if (meta.vary) return;
+
+        return self.setMeta(key, lo.assign(meta, {
+          accessTime: Math.max(meta.accessTime || 0, access.accessTime),
+          hits: (meta.hits || 0) + access.hits
+        }));
+      })
+      .fin(function(){
+        return Q.nfcall(release);
+      });
+    })
+    .fail(function(err){
+      if (err.code === 'ELOCKED') return self.addAccess(key, access);
+      // deleted in the meantime
+      if (err.code === 'ENOENT' || err.code === 'EDECRYPT') return;
+      return Q.reject(err);
+    });
+  })
+  .fin(function(){
+    self._flush = null;
+  });
+
+  return this._flush;
+}
+
+/**
+ * Returns the freshness options of the request a cache entry was stored for, on top of the global ones (which entries
+ * stored by previous versions only have), see isFresh.
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @return {object}
+ */
+CachedRequest.prototype.getEntryFreshness = function(entry){
+  return lo.assign(this.getOptions({}), entry.meta && entry.meta.freshness);
+}
+
+/**
+ * Returns true if a cache entry can't be served anymore: it's stale and past the stale-while-revalidate and
+ * stale-if-error windows, according to the freshness options of the request it was stored for, see getEntryFreshness.
+ * Entries that can be revalidated (see getValidators) and recorded or replayed ones (see the mode option) are served
+ * again however old they are.
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @return {boolean}
+ */
+CachedRequest.prototype.isExpired = function(entry){
+  var opt = this.getEntryFreshness(entry);
+
+  if (opt.mode === 'record' || this.mode === 'replay') return false;
+  if (opt.revalidate && this.getValidators(entry)) return false;
+
+  return ! this.isFresh(entry, opt) &&
+    ! this.isWithinStaleWindow(entry, opt, 'staleWhileRevalidate') &&
+    ! this.isWithinStaleWindow(entry, opt, 'staleIfError');
+}
+
+/**
+ * Deletes the expired cache entries (see isExpired) and the orphaned files (a response without meta, a meta without
+ * response, stale lockfiles), then evicts entries until the cache fits within the maxSize and maxEntries options: the
+ * least recently used ones first, or the least frequently used ones if the evictionPolicy option is "lfu". Locked
+ * entries are left alone, they're being written or read by another request or process, and so are the ones that were
+ * refreshed or served after they were read.
+ * 
+ * @param {function} [callback]   callback(error, stats)
+ * @return {object}               promise object, resolves with {deleted: number, evicted: number, entries: number,
+ *                                size: number}
+ */
+CachedRequest.prototype.gc = function(callback){
+  var self = this
+  ,   store = this.store
+  ,   lockOpt = lo.assign(this.getLockOpt(), {retry: null})
+  ,   stats = {deleted: 0, evicted: 0, entries: 0, size: 0};
+
+  // run one collection at a time
+  if (this._gc) return this._gc.nodeify(callback);
+
+  // the entry is read again once it's locked, it may have been refreshed or served since it was inspected
+  var unchanged = function(entry, reason){
+    return inspect(entry.key)
+    .then(function(current){
+      if (! current || entry.orphan) return !! current && !! current.orphan;
+      if (current.orphan || current.responseTime !== entry.responseTime) return false;
+      if (reason === 'expired') return self.isExpired(current);
+      // served since the accesses were written
+      if (self._accesses[entry.key]) return false;
+      return lastUse(current) === lastUse(entry) && (current.meta.hits || 0) === (entry.meta.hits || 0);
+    });
+  };
+
+  var remove = function(entry, reason){
+    return self.deleteEntry(entry.key, lockOpt, function(){
+      return unchanged(entry, reason);
+    })
+    .then(function(deleted){
+      if (! deleted) return false;
+
+      self.notify('evict', {}, {
+        key: entry.key,
+        requestKey: entry.meta ? entry.meta.requestKey : undefined,
+        url: self.getEntryUrl(entry.meta),
+        size: entry.size,
+        reason: reason
+      });
+      return true;
+    }, function(err){
+      if (err.code === 'ELOCKED') return false;
+      return Q.reject(err);
+    });
+  };
+
+  // only the files that are positively cache entries are deleted, the cache directory may hold others
+  var inspect = function(key){
+    return Q.allSettled([Q.ninvoke(store, 'stat', key), Q.ninvoke(store, 'getMeta', key)])
+    .spread(function(stat, stored){
+      var meta
+      ,   keyring
+      ,   missing = function(result){
+            return result.state === 'rejected' && result.reason.code === 'ENOENT';
+          }
+      ,   orphan = {key: key, orphan: true, size: stat.state === 'fulfilled' ? stat.value.size : 0};
+
+      if (stat.state === 'rejected' && ! missing(stat)) return Q.reject(stat.reason);
+      if (stat.state === 'fulfilled' && stat.value.isDirectory && stat.value.isDirectory()) return null;
+
+      // gone in the meantime
+      if (missing(stat) && missing(stored)) return null;
+
+      // a response without meta, unless it may be some other file named like the keys of previous versions
+      if (missing(stored)) return HASH_KEY.test(key) ? orphan : null;
+
+      // e.g. a json file that isn't a meta
+      if (stored.state === 'rejected' || ! metadata.isMeta(stored.value)) return null;
+
+      try {
+        meta = self.openMeta(key, stored.value);
+      } catch (err) {
+        if (err.code !== 'EDECRYPT') return Q.reject(err);
+
+        // entries encrypted with a key that isn't set are left for the processes that have it, only the ones
+        // tampered with or stored in plaintext before encryption was enabled are deleted
+        keyring = self.getKeyring();
+        if (! keyring) return null;
+        if (encryption.isEncryptedMeta(stored.value) && ! lo.has(keyring.keys, stored.value.keyId)) return null;
+        return orphan;
+      }
+
+      // variants are listed under the cache key of the request
+      if (missing(stat) && meta.vary) return null;
+
+      // a meta without response
+      if (missing(stat)) return orphan;
+
+      return {
+        key: key,
+        meta: meta,
+        size: stat.value.size,
+        responseTime: stat.value.mtime.getTime()
+      };
+    });
+  };
+
+  var lastUse = function(entry){
+    return entry.meta.accessTime || entry.responseTime;
+  };
+
+  this._gc = Q().then(function(){
+    if (typeof store.removeStaleLocks !== 'function') return;
+    return Q.ninvoke(store, 'removeStaleLocks', lockOpt);
+  })
+  .then(function(){
+    // the accesses counted in memory decide what's evicted
+    return self.flushAccesses();
+  })
+  .then(function(){
+    return Q.ninvoke(store, 'list');
+  })
+  .then(function(keys){
+    return mapLimit(keys, SCAN_CONCURRENCY, inspect);
+  })
+  .then(function(entries){
+    entries = lo.compact(entries);
+
+    return mapLimit(entries, SCAN_CONCURRENCY, function(entry){
+      if (! entry.orphan && ! self.isExpired(entry)) return entry;
+
+      return remove(entry, entry.orphan ? 'orphan' : 'expired')
+      .then(function(removed){
+        if (removed) stats.deleted++;
+        return removed ? null : entry;
+      });
+    });
+  })
+  .then(function(entries){
+    // the orphans left are locked, e.g. a response being written
+    entries = lo.filter(entries, function(entry){
+      return entry && ! entry.orphan;
+    });
+
+    if (self.evictionPolicy === 'lfu') {
+      entries = lo.sortBy(entries, [function(entry){ return entry.meta.hits || 0; }, lastUse]);
+    } else {
+      entries = lo.sortBy(entries, lastUse);
+    }
+
+    stats.entries = entries.length;
+    stats.size = lo.sumBy(entries, 'size');
+
+    // evict one entry at a time, least valuable first, until the cache fits
+    return entries.reduce(function(promise, entry){
+      return promise.then(function(){
+        var fits = (! (self.maxEntries > 0) || stats.entries <= self.maxEntries) &&
+          (! (self.maxSize > 0) || stats.size <= self.maxSize);
+
+        if (fits) return;
+
+        return remove(entry, 'capacity')
+        .then(function(removed){
+          if (! removed) return;
+          stats.evicted++;
+          stats.entries--;
+          stats.size -= entry.size;
+        });
+      });
+    }, Q());
+  })
+  .then(function(){
+    self._lastGc = Date.now();
+    return stats;
+  })
+  .fin(function(){
+    self._gc = null;
+  });
+
+  return this._gc.nodeify(callback);
+}
+
+/**
+ * Runs gc in the background after a response was stored, if the cache is bounded and it didn't run for gcInterval
+ * milliseconds.
+ */
+CachedRequest.prototype.scheduleGc = function(){
+  var self = this;
+
+  if (! this.isBounded() || this._gc || Date.now() - this._lastGc < this.gcInterval) return;
+
+  this.gc()
+  .fail(function(err){
+    self.handleError(err);
+  })
+  .done();
+}
+
+/**
+ * Returns the codec response bodies are compressed with before they're stored: the compression option, or the one
+ * given by the gzipResponse option it supersedes if it's undefined.
+ * 
+ * @param {object} options    request options
+ * @return {string}
+ */
+CachedRequest.prototype.getCompression = function(options){
+  if (options.compression !== undefined) return options.compression;
+  return options.gzipResponse ? "gzip" : "none";
+}
+
+/**
+ * Reads the body of a cache entry, decompressing it: with the codec it was compressed with before storing it (see
+ * getCompression), then from the gzip, deflate or br Content-Encoding it was received with.
+ * 
+ * @param {object} entry  see getCacheEntry
+ * @return {object}       promise object, resolves with a buffer
+ */
+CachedRequest.prototype.readEntryBody = function(entry){
+  var encoding = compression.getEncodingCodec(entry.meta.headers['content-encoding']);
+
+  return this.openEntryBody(entry)
+  .then(function(reader){
+    var def = Q.defer()
+    ,   chunks = [];
+
+    reader.on('error', def.reject);
+    reader.on('data', function(data){
+      chunks.push(data);
+    });
+    reader.on('end', function(){
+      def.resolve(Buffer.concat(chunks));
+    });
+
+    return def.promise;
+  })
+  .then(function(body){
+    return Q.nfcall(compression.decompress, body, metadata.getCompression(entry.meta));
+  })
+  .then(function(body){
+    return encoding ? Q.nfcall(compression.decompress, body, encoding) : body;
+  });
+}
+
+/**
+ * Exports the cache entries to a HAR 1.2 log with decoded bodies, see har.js: all of them, or the ones matching a url
+ * prefix, a regular expression or a predicate over their meta (see getEntryMatcher).
+ * 
+ * @param {string|RegExp|function} [matcher]   null to export every entry while passing a callback
+ * @param {function} [callback]                 callback(error, har)
+ * @return {object}                             promise object, resolves with the HAR log
+ */
+CachedRequest.prototype.exportHar = function(matcher, callback){
+  var self = this
+  ,   matches;
+
+  return Q().then(function(){
+    matches = matcher === undefined || matcher === null ? lo.constant(true) : self.getEntryMatcher(matcher);
+    return Q.ninvoke(self.store, 'list');
+  })
+  .then(function(keys){
+    return Q.all(keys.map(function(key){
+      return self.getCacheEntry({key: key})
+      .then(function(entry){
+        // orphans, and the metas listing the variants of a request which have no response
+        if (! entry || ! entry.meta || ! matches(entry.meta, key)) return null;
+
+        return self.readEntryBody(entry)
+        .then(function(body){
+          return har.toEntry(entry.meta, body, entry.responseTime);
+        });
+      })
+      .fail(function(err){
+        // deleted in the meantime
+        if (err.code === 'ENOENT') return null;
+        return Q.reject(err);
+      });
+    }));
+  })
+  .then(function(entries){
+    return har.createLog(lo.sortBy(lo.compact(entries), 'startedDateTime'));
+  })
+  .nodeify(callback);
+}
+
+/**
+ * Stores the responses of a HAR log, e.g. to seed the cache with traffic captured by a browser or another tool, see
+ * har.js. Entries exported by exportHar are stored under the cache key they were exported from, the others under the
+ * cache key of the request they describe, made with the given request options (e.g. excludeHeaders or cacheKey, so
+ * that they're found by the requests they're meant to answer). Responses are stored as if they were received when
+ * they're imported, replacing the cached ones, and the entries without a response are skipped.
+ * 
+ * @param {string|object} log       HAR log or its JSON
+ * @param {object} [options]        request options
+ * @param {function} [callback]     callback(error, result)
+ * @return {object}                 promise object, resolves with {imported: number, skipped: number}
+ */
+CachedRequest.prototype.importHar = function(log, options, callback){
+  var self = this
+  ,   lockOpt
+  ,   result = {imported: 0, skipped: 0};
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  };
+
+  var write = function(key, body){
+    var def = Q.defer()
+    ,   writer = self.store.createWriteStream(key);
+
+    writer.on('error', def.reject);
+    writer.on('finish', def.resolve);
+    writer.end(body);
+
+    return def.promise;
+  };
+
+  var store = function(entry){
+    var reqopt = self.getOptions(lo.assign({}, options, entry.options))
+    ,   requestKey = entry.requestKey !== undefined ? entry.requestKey : self.getRequestKey(reqopt)
+    ,   key = self.hashKey(requestKey)
+    ,   info = {options: reqopt, key: key, requestKey: requestKey, startTime: Date.now()}
+    ,   codec = self.getCompression(reqopt)
+    ,   meta;
+
+    meta = metadata.fromResponse(entry.response, {
+      requestKey: requestKey,
+      compression: codec,
+      requestTime: entry.requestTime,
+      responseTime: entry.responseTime,
+      freshness: lo.pick(reqopt, FRESHNESS_OPTIONS)
+    });
+
+    return Q.nfcall(compression.compress, entry.body, codec, reqopt.compressionLevel)
+    .then(function(body){
+      var keyring = self.getKeyring();
+
+      if (keyring) {
+        body = encryption.encrypt(body, keyring.key, key);
+        meta.encryption = {keyId: keyring.keyId};
+      }
+
+      return self.lockEntry(key, lockOpt)
+      .then(function(release){
+        return write(key, body)
+        .then(function(){
+          return self.setMeta(key, meta);
+        })
+        .fin(function(){
+          return Q.nfcall(release);
+        });
+      })
+      .then(function(){
+        self.notify('store', info, {size: body.length, statusCode: meta.statusCode});
+      });
+    });
+  };
+
+  return Q().then(function(){
+    lockOpt = self.getLockOpt(options && options.lockOpt);
+
+    // one entry at a time
+    return har.getEntries(log).reduce(function(promise, entry){
+      return promise.then(function(){
+        entry = har.fromEntry(entry);
+        if (! entry) {
+          result.skipped++;
+          return;
+        }
+
+        return store(entry)
+        .then(function(){
+          result.imported++;
+        });
+      });
+    }, Q());
+  })
+  .then(function(){
+    self.scheduleGc();
+    return result;
+  })
+  .nodeify(callback);
+}
+
+/**
+ * Makes a request whose responses aren't cached straight with the wrapped request function. If the request succeeds
+ * and its method is unsafe (e.g. POST), the cache entries stored for its url are invalidated before the callback is
+ * called.
+ * 
+ * @param {array} args          arguments of the request
+ * @param {object} options      request options
+ * @param {function} callback 
+ * @return {object}             request object
+ */
+CachedRequest.prototype.passThrough = function(args, options, callback){
+  var self = this
+  ,   method = (options.method || "GET").toUpperCase()
+  ,   invalidation = Q()
+  ,   request;
+
+  args = Array.prototype.slice.call(args);
+
+  if (callback) {
+    args[args.length - 1] = function(){
+      var cbargs = arguments;
+
+      invalidation.fin(function(){
+        callback.apply(null, cbargs);
+      })
+      .done();
+    };
+  };
+
+  request = self.request.apply(null, args);
+
+  if (SAFE_METHODS.indexOf(method) === -1) {
+    request.on("response", function(response){
+      if (response.statusCode >= 400) return;
+
+      invalidation = self.invalidateUrl(options)
+      .fail(function(err){
+        self.handleError(err);
+      });
+    });
+  };
+
+  self.emit("request", args[0]);
+
+  return request;
+}
+
+/**
+ * Makes a cached request and returns a promise instead of taking a callback.
+ * 
+ * @param {string|object} uri   url or request options
+ * @param {object} [options]    request options
+ * @return {object}             promise object, resolves with {response: object, body: mixed, fromCache: boolean}
+ */
+CachedRequest.prototype.fetch = function (uri, options) {
+  var def = Q.defer()
+  ,   params;
+
+  // invalid arguments or options throw before the request is made
+  try {
+    params = initParams(uri, options);
+
+    this.cachedRequest(params.options, function (error, response, body) {
+      if (error) return def.reject(error);
+
+      def.resolve({
+        response: response,
+        body: body,
+        fromCache: !! response.headers["x-from-cache"]
+      });
+    });
+  } catch (err) {
+    def.reject(err);
+  };
+
+  return def.promise;
+};
+
+/**
+ * Returns a new cached request function whose requests default to the given options, on top of the defaults of this
+ * one. Besides request options, they may contain any option that can be set globally (e.g. ttl, gzipResponse,
+ * lockOpt), and `cacheDirectory` or `store`.
+ * 
+ * @param {object} options 
+ * @return {function}
+ */
+CachedRequest.prototype.defaults = function (options) {
+  var self = this
+  ,   _request = new CachedRequest(this.request)
+  ,   defaults;
+
+  options = options || {};
+
+  // copy the settings of this instance, sharing its store
+  lo.forOwn(this, function (value, key) {
+    if (key === "request" || key === "domain" || lo.startsWith(key, "_")) return;
+    _request.setValue(key, value);
+  });
+
+  if (options.cacheDirectory) _request.setCacheDirectory(options.cacheDirectory);
+  if (options.store) _request.setValue("store", options.store);
+
+  defaults = lo.assign({}, this.requestDefaults, lo.omit(options, ["cacheDirectory", "store"]));
+  if (this.requestDefaults.headers && options.headers) {
+    defaults.headers = lo.assign({}, this.requestDefaults.headers, options.headers);
+  };
+  _request.setValue("requestDefaults", defaults);
+
+  return _request;
+};
+
+/**
+ * Sets the defaults of request options: the ones set with defaults(), then the global options set with setValue().
+ * 
+ * @param {object} options    request options, modified
+ * @return {object}           options
+ */
+CachedRequest.prototype.getOptions = function (options) {
+  // the defaults set with defaults(), headers are merged
+  if (this.requestDefaults.headers && options.headers) {
+    options.headers = lo.assign({}, this.requestDefaults.headers, options.headers);
+  };
+  lo.defaults(options, this.requestDefaults);
+
+  lo.defaults(options, {
+    ttl: this.ttl, 
+    gzipResponse: this.gzipResponse,
+    compression: this.compression,  // codec bodies are stored with, see getCompression
+    compressionLevel: this.compressionLevel,  // level of the codec, its default if undefined
+    decodeResponse: this.decodeResponse,  // decode bodies received with a Content-Encoding before storing them
+    httpSemantics: this.httpSemantics,  // derive freshness from the response headers, see freshness.getTtl
+    sharedCache: this.sharedCache,
+    ttlMode: this.ttlMode,
+    revalidate: this.revalidate,  // revalidate stale entries with conditional requests
+    migrateLegacyKeys: this.migrateLegacyKeys,  // look up entries stored under the previous 32-bit hash keys
+    vary: this.vary,  // select entries by the request headers listed in the Vary response header only
+    cacheKey: this.cacheKey,  // function(options) returning the key of a request, see getRequestKey
+    includeHeaders: this.includeHeaders,  // header names part of the key, all of them by default
+    excludeHeaders: this.excludeHeaders,  // header names left out of the key
+    includeQuery: this.includeQuery,  // query parameter names part of the key, all of them by default
+    excludeQuery: this.excludeQuery,  // query parameter names left out of the key
+    cacheableMethods: this.cacheableMethods,  // requests made with other methods aren't cached
+    cacheableStatusCodes: this.cacheableStatusCodes,  // non-2xx status codes whose responses are cached
+    negativeTtl: this.negativeTtl,  // ms 4xx and 5xx responses are fresh for instead of ttl
+    staleWhileRevalidate: this.staleWhileRevalidate,  // ms a stale entry is served while refreshed in the background
+    staleIfError: this.staleIfError,  // ms a stale entry is served when the request fails
+    coalesce: this.coalesce,  // attach concurrent requests for the same key in this process to a single request
+    mode: this.mode,  // "only-if-cached", "record" or "replay" to serve responses from the cache only, or fetch them all
+    lockOpt: undefined  // see this.lockOpt and getLockOpt, some options need to be enforced
+  });
+
+  return options;
+};
+
+CachedRequest.prototype.cachedRequest = function (uri, options, callback) {
+  var self = this
+  ,   requestMiddleware = new RequestMiddleware()
+  ,   params = initParams(uri, options, callback)
+  ,   args
+  ,   key
+  ,   requestKey
+  ,   cachehit = false
+  ,   callbackCalled = false
+  ,   releaseLock
+  ,   info
+  ,   coalesce
+  ,   flight;
+
+  options = self.getOptions(params.options);
+
+  var lockOpt = self.getLockOpt(options.lockOpt);
+
+  // the arguments the wrapped request function is called with
+  args = [options];
+
+  if (params.callback) {
+    callback = function () {
+      callbackCalled = true;
+      return params.callback.apply(this, arguments);
+    };
+    args.push(params.callback);
+  };
+
+  if (MODES.indexOf(options.mode) === -1) {
+    throw new Error("cached-request: unknown mode " + options.mode + ", expected one of " + MODES.join(", "));
+  };
+
+  // e.g. a key of the wrong length
+  self.getKeyring();
+  compression.check(self.getCompression(options));
+
+  // e.g. the request isn't cached and the network mustn't be used, nothing else reports it to a stream
+  var report = function(err){
+    if (callback && ! callbackCalled) return callback(err);
+    if (err.offline && EventEmitter.listenerCount(requestMiddleware, "error")) {
+      return requestMiddleware.emit("error", err);
+    };
+    self.handleError(err, info);
+  };
+
+  if (! self.isCacheable(options)) {
+    if (! self.isOffline(options)) return self.passThrough(args, options, callback);
+
+    Q.reject(self.getNotCachedError(options)).fail(report).done();
+    return requestMiddleware;
+  };
+
+  requestKey = this.getRequestKey(options);
+  key = this.hashKey(requestKey); 
+  info = {options: options, key: key, requestKey: requestKey, startTime: Date.now()};
+  // variants of the response may be selected by the request headers, which aren't part of the key
+  coalesce = options.coalesce && ! options.vary;
+
+  // wait for lockfile to be released, unless another request of this process starts fetching the response
+  var waitForLock = function(){
+    var op = retry.operation(lockOpt.retry)
+    ,   def = Q.defer()
+    ,   waitStart = Date.now();
+
+    op.attempt(function(attempt){
+      if (joinable()) return def.resolve(true);
+
+      self.store.check(key, lockOpt, function(err, locked){
+        // retry on error or still locked
+        if (op.retry(err || locked)){
+          return;
+        }
+
+        // no retries left, error checking for lockfile
+        if (err) return def.reject(err);
+
+        // file done being written 
+        self.notify('lockWait', info, {wait: Date.now() - waitStart});
+        def.resolve(false);
+      });
+    });
+    return def.promise;
+  };
+
+  // the request of this process fetching the response, if the concurrent requests can still attach to it
+  var joinable = function(){
+    var inflight = self._inflight[key];
+    return coalesce && inflight && inflight.joinable;
+  };
+
+  // the request is done fetching the response for the concurrent requests attached to it
+  var settle = function(){
+    if (flight) self.settleFlight(key, flight);
+    flight = undefined;
+  };
+
+  // attach to the request of this process fetching the response, or look up the cache again if it settles without
+  // fetching it (e.g. it was served from the cache)
+  var join = function(){
+    return self.joinFlight({
+      flight: self._inflight[key],
+      requestMiddleware: requestMiddleware,
+      json: options.json,
+      encoding: options.encoding,
+      callback: callback,
+      info: info
+    })
+    .then(function(served){
+      if (! served) return attempt();
+    });
+  };
+
+  // the key is locked while its entry is refreshed, by this process or another one: within the stale-while-revalidate
+  // window, the entry is served right away rather than once the refresh is done. Resolves with true if it was served
+  var respondStale = function(){
+    // the window is either set by the options or by the response headers
+    if (options.mode === "record" || ! (options.staleWhileRevalidate > 0 || options.httpSemantics)) return Q(false);
+
+    return self.lookupCacheEntry({
+      key: key,
+      requestKey: requestKey,
+      options: options
+    })
+    .then(function(entry){
+      if (! entry || ! entry.meta || self.isFresh(entry, options)) return false;
+      if (! self.isWithinStaleWindow(entry, options, 'staleWhileRevalidate')) return false;
+
+      self.notify('stale', info, {key: entry.key, size: entry.size, age: Date.now() - entry.responseTime});
+      return self.serveFromCache({
+        entry: entry,
+        requestMiddleware: requestMiddleware,
+        json: options.json,
+        encoding: options.encoding,
+        callback: callback,
+        warning: '110 - "Response is Stale"',
+        info: info
+      })
+      .thenResolve(true);
+    })
+    .fail(function(err){
+      // e.g. the response was tampered with, the request waits for the lock as usual
+      if (err.code !== 'EDECRYPT') return Q.reject(err);
+      self.handleError(err, info);
+      return false;
+    });
+  };
+
+  // request the response, refreshing the cache entry if there's one
+  var fetch = function(entry){
     return self.makeRequest({
+      entry: entry,
+      revalidate: options.revalidate,
+      staleIfError: !! entry && self.isWithinStaleWindow(entry, options, 'staleIfError'),
       reqargs: args,
       callback: callback,
       releaseLock: releaseLock,
-      responsePath: responsePath,
-      metaPath: metaPath,
+      key: key,
+      requestKey: requestKey,
       requestMiddleware: requestMiddleware,
+      httpSemantics: options.httpSemantics,
+      sharedCache: options.sharedCache,
+      vary: options.vary,
+      cacheableStatusCodes: options.cacheableStatusCodes,
+      info: info,
+      flight: flight
     });
-  })
-  .fail(function(err){
-    self.handleError(err);
-  })
+  };
+
+  // a cache entry whose response can't be decrypted (e.g. it was tampered with) is a miss, the lock is still held
+  var unlessUndecryptable = function(err){
+    if (err.code !== 'EDECRYPT') return Q.reject(err);
+
+    self.handleError(err, info);
+    if (self.isOffline(options)) return Q.reject(self.getNotCachedError(options));
+    return fetch();
+  };
+
+  // no lock, lock obtained, or done waiting for lock to unlock
+  var respond = function(){
+    // recording overwrites whatever is cached
+    return (options.mode === "record" ? Q(null) : self.lookupCacheEntry({
+      key: key,
+      requestKey: requestKey,
+      options: options
+    }))
+    .then(function(entry){
+      // recorded responses are replayed however old they are
+      cachehit = !! entry && (options.mode === "replay" ? !! entry.meta : self.isFresh(entry, options));
+
+      if (entry && ! cachehit) {
+        self.notify('stale', info, {key: entry.key, size: entry.size, age: Date.now() - entry.responseTime});
+      }
+
+      // cache file exists and is fresh, read from cache
+      if (cachehit) {
+        // the concurrent requests read it as well
+        settle();
+
+        self.recordAccess(entry);
+
+        return self.serveFromCache({
+          entry: entry,
+          requestMiddleware: requestMiddleware,
+          json: options.json,
+          encoding: options.encoding,
+          callback: callback, 
+          releaseLock: releaseLock,
+          info: info
+        })
+        .fail(unlessUndecryptable);
+      }
+
+      // stale, but within the stale-while-revalidate window: respond from the cache and refresh the entry in the
+      // background. Without the lock (lockOpt.retry is null), another request is already refreshing it
+      if (entry && releaseLock && self.isWithinStaleWindow(entry, options, 'staleWhileRevalidate')) {
+        // the concurrent requests don't wait for the refresh either, they're served the stale entry, see respondStale
+        settle();
+
+        self.recordAccess(entry);
+
+        return self.serveFromCache({
+          entry: entry,
+          requestMiddleware: requestMiddleware,
+          json: options.json,
+          encoding: options.encoding,
+          callback: callback,
+          warning: '110 - "Response is Stale"',
+          info: info
+        })
+        .then(function(){
+          // the background refresh releases the lock once it's done, see makeRequest
+          self.refreshInBackground({
+            entry: entry,
+            options: options,
+            releaseLock: releaseLock,
+            key: key,
+            requestKey: requestKey,
+            info: info
+          });
+          releaseLock = undefined;
+        }, unlessUndecryptable);
+      }
+
+      // without the network, a stale entry is better than nothing
+      if (self.isOffline(options)) {
+        settle();
+        if (! entry || ! entry.meta) return Q.reject(self.getNotCachedError(options));
+
+        return self.serveFromCache({
+          entry: entry,
+          requestMiddleware: requestMiddleware,
+          json: options.json,
+          encoding: options.encoding,
+          callback: callback,
+          releaseLock: releaseLock,
+          warning: '110 - "Response is Stale"',
+          info: info
+        })
+        .fail(unlessUndecryptable);
+      }
+      
+      return fetch(entry);
+    });
+  };
+
+  var attempt = function(){
+    var def = Q.defer();
+
+    if (joinable()) return join();
+
+    // obtain lock on the cache key (atomic for multi-process when using the filesystem) 
+    self.store.lock(key, lockOpt, function(err, release){
+      if (err) return def.reject(err);
+
+      // from now on the concurrent requests for the key in this process attach to this one
+      if (coalesce) flight = self._inflight[key] = new Flight();
+      def.resolve(release);
+    });
+
+    return def.promise
+    .then(function(release){
+      releaseLock = release;
+      return respond();
+    }, function(err){
+      // some other error, abort everything 
+      if (err.code !== 'ELOCKED') return Q.reject(err);
+
+      // lock file exists means response is currently being written, by this process or another one
+      if (joinable()) return join();
+
+      // don't wait for response to be written
+      if (! lockOpt.retry) return respond();
+
+      return respondStale()
+      .then(function(served){
+        if (served) return;
+
+        return waitForLock()
+        .then(function(joinable){
+          return joinable ? join() : respond();
+        });
+      });
+    });
+  };
+
+  attempt()
+  // e.g. the store failed before the request was made, the callback wouldn't be called otherwise
+  .fail(report)
   .fin(function(){
-    // release lock in event of error (expecting makeRequest or readFromCache to call this already) 
+    // release lock in event of error (expecting makeRequest or serveFromCache to call this already) 
     if (typeof(releaseLock) === 'function') releaseLock();
+    settle();
   })
   .done();
 
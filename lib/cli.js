@@ -0,0 +1,593 @@
+/*
+Command-line tool to inspect and manage a cache directory, see bin/cached-request.
+
+Usage: cached-request <command> [options]
+
+Every command reads the cache directory given with --dir (or the CACHED_REQUEST_DIR environment variable), decrypting
+it with the key in the CACHED_REQUEST_KEY and CACHED_REQUEST_KEY_ID environment variables, and prints JSON instead of
+text with --json. The library does the work: entries are read, purged and collected the same way cachedRequest does
+it.
+*/
+'use strict';
+
+var fs = require("fs")
+,   Q = require('q')
+,   lo = require('lodash')
+,   CachedRequest = require("./cached-request")
+,   encryption = require("./encryption")
+,   FileStore = require("./file-store");
+
+var USAGE = [
+  "Usage: cached-request <command> [options]",
+  "",
+  "Commands:",
+  "  list                          list the cached responses: key, method, status, size, age, expiry and url",
+  "  show <key|url>                show the headers and the decompressed body of a cached response, selected by",
+  "                                its key (or the beginning of it) or its url",
+  "    --headers                   only show the headers",
+  "    --body                      only show the body",
+  "  purge [pattern]               delete the cached responses of the urls starting with pattern, or matching it if",
+  "                                it's a regular expression such as /\\/items\\/\\d+$/i",
+  "    --older-than <duration>     only the ones stored longer ago than duration, e.g. 30s, 15m, 2h or 7d",
+  "  gc                            delete expired responses and orphaned files, and evict responses beyond the limits",
+  "    --max-size <size>           e.g. 500MB",
+  "    --max-entries <number>",
+  "    --policy <lru|lfu>          eviction policy, default lru",
+  "  stats                         print the number of cached responses and their size, by freshness and status",
+  "  export [pattern]              print the cached responses of the urls starting with pattern (or matching it), or",
+  "                                all of them, as a HAR 1.2 log with decompressed bodies",
+  "    --output <file>             write it to file instead",
+  "  import <file>                 store the responses of a HAR log, replacing the cached ones",
+  "    --exclude-headers <names>   comma-separated request headers to leave out of the cache keys, e.g. cookie",
+  "    --include-headers <names>   comma-separated request headers to keep in the cache keys, the others are left out",
+  "  reshard                       move the cached responses to the layout given by --shard-levels and --shard-width",
+  "  help                          print this message",
+  "",
+  "Options:",
+  "  -d, --dir <directory>         cache directory, default $CACHED_REQUEST_DIR",
+  "  --shard-levels <number>       levels of subdirectories the cache directory is sharded in, default 0",
+  "  --shard-width <number>        characters of the cache keys per level, default 2",
+  "  --json                        print JSON",
+  "",
+  "Encrypted caches are read with the key in $CACHED_REQUEST_KEY (hex or base64) and its id in $CACHED_REQUEST_KEY_ID,",
+  "purge and gc refuse to run on them without it."
+].join("\n");
+
+// options that don't take a value
+var FLAGS = ["json", "help", "headers", "body"];
+
+var ALIASES = {d: "dir", h: "help"};
+
+var SIZE_UNITS = {"": 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024, t: 1024 * 1024 * 1024 * 1024};
+
+var DURATION_UNITS = {ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000};
+
+/**
+ * Returns an error caused by the command line, which is printed along with the usage.
+ *
+ * @param {string} message
+ * @return {Error}
+ */
+function usageError (message) {
+  var error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Parses command-line arguments: options (--name value, --name=value, -d value, and flags) are set by their camel-cased
+ * name, and the other arguments are listed in `_`.
+ *
+ * @param {array} argv
+ * @return {object}     e.g. {_: ["purge", "http://ping.com/"], olderThan: "2h"}
+ */
+function parseArgs (argv) {
+  var args = {_: []}
+  ,   i
+  ,   arg
+  ,   name
+  ,   index;
+
+  for (i = 0; i < argv.length; i++) {
+    arg = argv[i];
+
+    if (arg === "--") {
+      args._ = args._.concat(argv.slice(i + 1));
+      break;
+    }
+
+    if (! /^--?[a-z]/i.test(arg)) {
+      args._.push(arg);
+      continue;
+    }
+
+    name = arg.replace(/^--?/, "");
+    index = name.indexOf("=");
+
+    if (index !== -1) {
+      args[lo.camelCase(name.slice(0, index))] = name.slice(index + 1);
+      continue;
+    }
+
+    name = ALIASES[name] || lo.camelCase(name);
+
+    if (FLAGS.indexOf(name) !== -1) {
+      args[name] = true;
+    } else if (i + 1 < argv.length) {
+      args[name] = argv[++i];
+    } else {
+      throw usageError("missing value for " + arg);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Parses a size in bytes, e.g. "1024", "512k" or "1.5GB".
+ *
+ * @param {string} value
+ * @return {number}
+ */
+function parseSize (value) {
+  var match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b?$/i.exec(String(value).trim());
+
+  if (! match) throw usageError("invalid size: " + value);
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Parses a duration in milliseconds, e.g. "500", "500ms", "30s", "15m", "2h" or "7d".
+ *
+ * @param {string} value
+ * @return {number}
+ */
+function parseDuration (value) {
+  var match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i.exec(String(value).trim());
+
+  if (! match) throw usageError("invalid duration: " + value);
+  return Math.floor(parseFloat(match[1]) * DURATION_UNITS[(match[2] || "ms").toLowerCase()]);
+}
+
+/**
+ * Returns a size in bytes in a human readable form, e.g. "1.5M".
+ *
+ * @param {number} bytes
+ * @return {string}
+ */
+function formatSize (bytes) {
+  var units = ["B", "K", "M", "G", "T"]
+  ,   i = 0;
+
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return (i && bytes < 10 ? bytes.toFixed(1) : Math.round(bytes)) + units[i];
+}
+
+/**
+ * Returns a duration in milliseconds in a human readable form, e.g. "45s", "12m" or "3d".
+ *
+ * @param {number} ms
+ * @return {string}
+ */
+function formatDuration (ms) {
+  var units = ["d", "h", "m", "s"]
+  ,   i;
+
+  for (i = 0; i < units.length; i++) {
+    if (ms >= DURATION_UNITS[units[i]]) return Math.floor(ms / DURATION_UNITS[units[i]]) + units[i];
+  }
+  return Math.max(0, Math.round(ms)) + "ms";
+}
+
+/**
+ * Returns rows of cells as lines of left-aligned columns.
+ *
+ * @param {array} rows
+ * @return {string}
+ */
+function formatTable (rows) {
+  var widths = lo.unzip(rows).map(function (column) {
+    return lo.max(column.map(function (cell) {
+      return String(cell).length;
+    }));
+  });
+
+  return rows.map(function (row) {
+    return row.map(function (cell, i) {
+      return i === row.length - 1 ? String(cell) : lo.padEnd(cell, widths[i]);
+    }).join("  ");
+  }).join("\n") + "\n";
+}
+
+/**
+ * Returns the CachedRequest instance managing a cache directory.
+ *
+ * @param {object} args   see parseArgs
+ * @return {object}
+ */
+function openCache (args) {
+  var directory = args.dir || process.env.CACHED_REQUEST_DIR
+  ,   cache;
+
+  if (! directory) throw usageError("a cache directory must be provided with --dir or CACHED_REQUEST_DIR");
+
+  // the instance itself, not the request function its constructor returns; no request is ever made
+  cache = Object.create(CachedRequest.prototype);
+  CachedRequest.call(cache, null);
+  cache.store = new FileStore({
+    shardLevels: args.shardLevels !== undefined ? parseInt(args.shardLevels, 10) : undefined,
+    shardWidth: args.shardWidth !== undefined ? parseInt(args.shardWidth, 10) : undefined
+  });
+  cache.setCacheDirectory(directory);
+
+  if (process.env.CACHED_REQUEST_KEY) {
+    cache.encryption = {keyId: process.env.CACHED_REQUEST_KEY_ID, key: process.env.CACHED_REQUEST_KEY};
+    cache.getKeyring();
+  }
+
+  return cache;
+}
+
+/**
+ * Rejects if the cache holds encrypted entries while no key is given: they can't be read, so they wouldn't be purged
+ * or collected.
+ *
+ * @param {object} cache
+ * @return {object}     promise object
+ */
+function checkKey (cache) {
+  if (cache.getKeyring()) return Q();
+
+  return Q.ninvoke(cache.store, 'list')
+  .then(function (keys) {
+    return Q.all(keys.map(function (key) {
+      return Q.ninvoke(cache.store, 'getMeta', key)
+      .then(encryption.isEncryptedMeta, lo.constant(false));
+    }));
+  })
+  .then(function (encrypted) {
+    if (lo.some(encrypted)) {
+      throw new Error("the cache is encrypted, its key must be provided in CACHED_REQUEST_KEY and CACHED_REQUEST_KEY_ID");
+    }
+  });
+}
+
+/**
+ * Describes a cache entry: its key, the request it was stored for, its status, size, age and freshness ("fresh",
+ * "stale" while it may still be served, "expired", or "orphan" if its meta is missing).
+ *
+ * @param {object} cache
+ * @param {object} entry    see CachedRequest.getCacheEntry
+ * @return {object}
+ */
+function describeEntry (cache, entry) {
+  var meta = entry.meta
+  ,   age = Date.now() - entry.responseTime
+  ,   staleness;
+
+  if (! meta) {
+    return {key: entry.key, size: entry.size, age: age, state: "orphan"};
+  }
+
+  staleness = cache.getStaleness(entry, cache.getEntryFreshness(entry));
+
+  return {
+    key: entry.key,
+    method: meta.method,
+    url: cache.getEntryUrl(meta),
+    statusCode: meta.statusCode,
+    size: entry.size,
+    age: age,
+    expiresIn: -staleness,
+    state: staleness <= 0 ? "fresh" : cache.isExpired(entry) ? "expired" : "stale"
+  };
+}
+
+/**
+ * Reads the cache entries, leaving out the metas listing the variants of a request (see CachedRequest.vary).
+ *
+ * @param {object} cache
+ * @return {object}     promise object, resolves with the entries, see CachedRequest.getCacheEntry
+ */
+function loadEntries (cache) {
+  return Q.ninvoke(cache.store, 'list')
+  .then(function (keys) {
+    return Q.all(keys.map(function (key) {
+      return cache.getCacheEntry({key: key});
+    }));
+  })
+  .then(function (entries) {
+    return lo.sortBy(lo.compact(entries), function (entry) {
+      return cache.getEntryUrl(entry.meta) || "";
+    });
+  });
+}
+
+/**
+ * Returns the matcher of the cache entries selected by a command-line pattern: a url prefix, or a regular expression
+ * such as /\/items\/\d+$/i, see CachedRequest.getEntryMatcher.
+ *
+ * @param {object} cache
+ * @param {string} pattern
+ * @return {function}     function(meta, key) returning a boolean
+ */
+function parsePattern (cache, pattern) {
+  var match = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+
+  return cache.getEntryMatcher(match ? new RegExp(match[1], match[2]) : pattern);
+}
+
+/**
+ * Parses a comma-separated list, e.g. of header names.
+ *
+ * @param {string} value
+ * @return {array}
+ */
+function parseList (value) {
+  return lo.compact(String(value).split(",").map(lo.trim));
+}
+
+/**
+ * Returns the text of the status line and headers of a cache entry, as received.
+ *
+ * @param {object} entry
+ * @return {string}
+ */
+function formatHeaders (entry) {
+  var meta = entry.meta
+  ,   lines = ["HTTP/" + meta.httpVersion + " " + meta.statusCode + " " + (meta.statusMessage || "")];
+
+  lo.chunk(meta.rawHeaders, 2).forEach(function (pair) {
+    lines.push(pair[0] + ": " + pair[1]);
+  });
+  return lines.join("\n") + "\n";
+}
+
+var commands = {};
+
+commands.list = function (cache, args, io) {
+  return loadEntries(cache)
+  .then(function (entries) {
+    var rows = entries.map(lo.partial(describeEntry, cache))
+    ,   header = ["KEY", "METHOD", "STATUS", "SIZE", "AGE", "EXPIRES", "URL"];
+
+    if (args.json) return io.stdout.write(JSON.stringify(rows, null, 2) + "\n");
+
+    io.stdout.write(formatTable([header].concat(rows.map(function (row) {
+      return [
+        row.key.slice(0, 12),
+        row.method || "-",
+        row.statusCode || "-",
+        formatSize(row.size),
+        formatDuration(row.age),
+        row.state === "fresh" ? "in " + formatDuration(row.expiresIn) : row.state,
+        row.url || "-"
+      ];
+    }))));
+  });
+};
+
+commands.show = function (cache, args, io) {
+  var selector = args._[1]
+  ,   uri;
+
+  if (! selector) throw usageError("show expects a key or a url");
+
+  uri = /^[a-z][a-z0-9+.-]*:\/\//i.test(selector) ? cache.normalizeOptions({url: selector}).url : undefined;
+
+  return loadEntries(cache)
+  .then(function (entries) {
+    entries = entries.filter(function (entry) {
+      if (! entry.meta) return false;
+      return uri ? cache.getEntryUrl(entry.meta) === uri : lo.startsWith(entry.key, selector);
+    });
+
+    if (! entries.length) throw new Error("no cached response found for " + selector);
+
+    // one after the other, e.g. the responses to the same url with different request headers
+    return entries.reduce(function (promise, entry, i) {
+      return promise.then(function () {
+        return args.headers ? null : cache.readEntryBody(entry);
+      })
+      .then(function (body) {
+        if (args.json) {
+          return io.stdout.write(JSON.stringify({
+            key: entry.key,
+            meta: entry.meta,
+            body: body ? body.toString() : undefined
+          }, null, 2) + "\n");
+        }
+
+        if (i) io.stdout.write("\n");
+        if (! args.body) {
+          io.stdout.write("key: " + entry.key + "\n");
+          io.stdout.write((entry.meta.method || "GET") + " " + (cache.getEntryUrl(entry.meta) || "-") + "\n\n");
+          io.stdout.write(formatHeaders(entry));
+        }
+        if (! args.body && body) io.stdout.write("\n");
+        if (body) io.stdout.write(body);
+      });
+    }, Q());
+  });
+};
+
+commands.purge = function (cache, args, io) {
+  var pattern = args._[1]
+  ,   olderThan = args.olderThan !== undefined ? parseDuration(args.olderThan) : undefined
+  ,   before = Date.now() - olderThan
+  ,   matches;
+
+  if (pattern === undefined && olderThan === undefined) throw usageError("purge expects a pattern or --older-than");
+
+  if (pattern !== undefined) matches = parsePattern(cache, pattern);
+
+  return checkKey(cache)
+  .then(function () {
+    return cache.purge(function (meta, key) {
+      if (matches && ! matches(meta, key)) return false;
+      // entries stored by previous versions don't record when
+      if (olderThan !== undefined) return meta.responseTime !== undefined && meta.responseTime <= before;
+      return true;
+    });
+  })
+  .then(function (deleted) {
+    if (args.json) return io.stdout.write(JSON.stringify({deleted: deleted}) + "\n");
+    io.stdout.write("deleted " + deleted + " cached response" + (deleted === 1 ? "" : "s") + "\n");
+  });
+};
+
+commands.gc = function (cache, args, io) {
+  if (args.maxSize !== undefined) cache.maxSize = parseSize(args.maxSize);
+  if (args.maxEntries !== undefined) cache.maxEntries = parseInt(args.maxEntries, 10);
+  if (args.policy !== undefined) {
+    if (args.policy !== "lru" && args.policy !== "lfu") throw usageError("invalid eviction policy: " + args.policy);
+    cache.evictionPolicy = args.policy;
+  }
+
+  return checkKey(cache)
+  .then(function () {
+    return cache.gc();
+  })
+  .then(function (stats) {
+    if (args.json) return io.stdout.write(JSON.stringify(stats) + "\n");
+    io.stdout.write("deleted " + stats.deleted + ", evicted " + stats.evicted + ", " + stats.entries +
+      " cached responses left (" + formatSize(stats.size) + ")\n");
+  });
+};
+
+commands.stats = function (cache, args, io) {
+  return loadEntries(cache)
+  .then(function (entries) {
+    var rows = entries.map(lo.partial(describeEntry, cache))
+    ,   stats = {
+          entries: rows.length,
+          size: lo.sumBy(rows, 'size'),
+          fresh: 0,
+          stale: 0,
+          expired: 0,
+          orphan: 0,
+          statusCodes: lo.countBy(lo.compact(lo.map(rows, 'statusCode'))),
+          oldest: lo.max(lo.map(rows, 'age')),
+          newest: lo.min(lo.map(rows, 'age'))
+        };
+
+    lo.assign(stats, lo.countBy(rows, 'state'));
+
+    if (args.json) return io.stdout.write(JSON.stringify(stats, null, 2) + "\n");
+
+    io.stdout.write(formatTable([
+      ["entries:", stats.entries],
+      ["size:", formatSize(stats.size)],
+      ["fresh:", stats.fresh],
+      ["stale:", stats.stale],
+      ["expired:", stats.expired],
+      ["orphans:", stats.orphan],
+      ["status codes:", lo.map(stats.statusCodes, function (count, statusCode) {
+        return statusCode + ": " + count;
+      }).join(", ") || "-"],
+      ["oldest:", rows.length ? formatDuration(stats.oldest) : "-"],
+      ["newest:", rows.length ? formatDuration(stats.newest) : "-"]
+    ]));
+  });
+};
+
+commands.export = function (cache, args, io) {
+  var pattern = args._[1];
+
+  return cache.exportHar(pattern !== undefined ? parsePattern(cache, pattern) : null)
+  .then(function (log) {
+    var exported = log.log.entries.length;
+
+    if (args.output === undefined) return io.stdout.write(JSON.stringify(log, null, 2) + "\n");
+
+    return Q.nfcall(fs.writeFile, args.output, JSON.stringify(log, null, 2) + "\n")
+    .then(function () {
+      if (args.json) return io.stdout.write(JSON.stringify({exported: exported}) + "\n");
+      io.stdout.write("exported " + exported + " cached response" + (exported === 1 ? "" : "s") + " to " +
+        args.output + "\n");
+    });
+  });
+};
+
+commands.import = function (cache, args, io) {
+  var file = args._[1]
+  ,   options = {};
+
+  if (file === undefined) throw usageError("import expects a HAR file");
+
+  if (args.excludeHeaders !== undefined) options.excludeHeaders = parseList(args.excludeHeaders);
+  if (args.includeHeaders !== undefined) options.includeHeaders = parseList(args.includeHeaders);
+
+  return Q.nfcall(fs.readFile, file)
+  .then(function (log) {
+    return cache.importHar(log, options);
+  })
+  .then(function (result) {
+    if (args.json) return io.stdout.write(JSON.stringify(result) + "\n");
+    io.stdout.write("imported " + result.imported + " response" + (result.imported === 1 ? "" : "s") +
+      (result.skipped ? ", skipped " + result.skipped + " entries without a response" : "") + "\n");
+  });
+};
+
+commands.reshard = function (cache, args, io) {
+  var lockOpt = lo.assign(cache.getLockOpt(), {retry: null});
+
+  return Q.ninvoke(cache.store, 'reshard', lockOpt)
+  .then(function (result) {
+    if (args.json) return io.stdout.write(JSON.stringify(result) + "\n");
+    io.stdout.write("moved " + result.moved + " cached response" + (result.moved === 1 ? "" : "s") +
+      (result.skipped ? ", skipped " + result.skipped + " locked ones, run it again to move them" : "") + "\n");
+  });
+};
+
+/**
+ * Runs the tool.
+ *
+ * @param {array} argv    command-line arguments, e.g. process.argv.slice(2)
+ * @param {object} [io]   {stdout: stream, stderr: stream}, default process.stdout and process.stderr
+ * @return {object}       promise object, resolves with the exit code: 0 on success, 1 on failure, 2 on usage errors
+ */
+function run (argv, io) {
+  var args;
+
+  io = io || {};
+  lo.defaults(io, {
+    stdout: process.stdout,
+    stderr: process.stderr
+  });
+
+  return Q().then(function () {
+    var command;
+
+    args = parseArgs(argv);
+    command = args._[0];
+
+    if (args.help || ! command || command === "help") {
+      io.stdout.write(USAGE + "\n");
+      return;
+    }
+
+    if (! lo.has(commands, command)) throw usageError("unknown command: " + command);
+
+    return commands[command](openCache(args), args, io);
+  })
+  .then(function () {
+    return 0;
+  }, function (error) {
+    io.stderr.write("cached-request: " + error.message + "\n");
+    if (! error.usage) return 1;
+
+    io.stderr.write("\n" + USAGE + "\n");
+    return 2;
+  });
+}
+
+module.exports = {
+  run: run,
+  parseArgs: parseArgs,
+  parseSize: parseSize,
+  parseDuration: parseDuration
+};
@@ -0,0 +1,160 @@
+/*
+Compression helpers
+
+Response bodies are compressed before they're stored with the codec of the `compression` option: "gzip" (the default),
+"brotli", "deflate" or "none", at the level of the `compressionLevel` option (the default level of the codec if it's
+undefined). The codec is recorded in the meta of the entry, see meta.js.
+
+Responses received with a Content-Encoding are stored as received, since they're already compressed, unless the
+`decodeResponse` option is set: gzip, deflate and br encoded bodies are then decoded before they're compressed and
+stored, and served without their Content-Encoding header.
+*/
+'use strict';
+
+var zlib = require("zlib")
+,   lo = require('lodash');
+
+var CODECS = {
+  gzip: {
+    compress: zlib.gzip,
+    decompress: zlib.gunzip,
+    createCompress: zlib.createGzip,
+    createDecompress: zlib.createGunzip
+  },
+  brotli: {
+    compress: zlib.brotliCompress,
+    decompress: zlib.brotliDecompress,
+    createCompress: zlib.createBrotliCompress,
+    createDecompress: zlib.createBrotliDecompress
+  },
+  deflate: {
+    compress: zlib.deflate,
+    decompress: zlib.inflate,
+    createCompress: zlib.createDeflate,
+    createDecompress: zlib.createInflate
+  },
+  none: null
+};
+
+// codecs of the content encodings bodies can be decoded from
+var ENCODINGS = {
+  "gzip": "gzip",
+  "x-gzip": "gzip",
+  "deflate": "deflate",
+  "br": "brotli"
+};
+
+/**
+ * Throws if a codec isn't supported.
+ *
+ * @param {string} codec
+ */
+function check (codec) {
+  if (! lo.has(CODECS, codec)) {
+    throw new Error("cached-request: unknown compression " + codec + ", expected one of " +
+      Object.keys(CODECS).join(", "));
+  };
+  // brotli was added to zlib in node 10.16
+  if (CODECS[codec] && typeof CODECS[codec].compress !== "function") {
+    throw new Error("cached-request: " + codec + " compression isn't supported by this version of node");
+  };
+}
+
+/**
+ * Returns the zlib options of a compression level.
+ *
+ * @param {string} codec
+ * @param {number} [level]
+ * @return {object}
+ */
+function getOptions (codec, level) {
+  var params = {};
+
+  if (typeof level !== "number") return {};
+  if (codec !== "brotli") return {level: level};
+
+  params[zlib.constants.BROTLI_PARAM_QUALITY] = level;
+  return {params: params};
+}
+
+/**
+ * Returns the normalized value of a Content-Encoding header, empty if the body isn't encoded.
+ *
+ * @param {string} [contentEncoding]
+ * @return {string}
+ */
+function normalizeEncoding (contentEncoding) {
+  contentEncoding = String(contentEncoding || "").trim().toLowerCase();
+  return contentEncoding === "identity" ? "" : contentEncoding;
+}
+
+/**
+ * Returns the codec a body encoded with a content encoding is decoded with, or undefined if it can't be.
+ *
+ * @param {string} [contentEncoding]
+ * @return {string|undefined}
+ */
+function getEncodingCodec (contentEncoding) {
+  return ENCODINGS[normalizeEncoding(contentEncoding)];
+}
+
+/**
+ * Returns a stream compressing what's written to it, or null for the "none" codec.
+ *
+ * @param {string} codec
+ * @param {number} [level]
+ * @return {object|null}    transform stream
+ */
+function createCompressStream (codec, level) {
+  check(codec);
+  return CODECS[codec] ? CODECS[codec].createCompress(getOptions(codec, level)) : null;
+}
+
+/**
+ * Returns a stream decompressing what's written to it, or null for the "none" codec.
+ *
+ * @param {string} codec
+ * @return {object|null}    transform stream
+ */
+function createDecompressStream (codec) {
+  check(codec);
+  return CODECS[codec] ? CODECS[codec].createDecompress() : null;
+}
+
+/**
+ * Compresses a buffer.
+ *
+ * @param {Buffer} buffer
+ * @param {string} codec
+ * @param {number} [level]
+ * @param {function} callback     callback(error, buffer)
+ */
+function compress (buffer, codec, level, callback) {
+  check(codec);
+  if (! CODECS[codec]) return process.nextTick(callback, null, buffer);
+  CODECS[codec].compress(buffer, getOptions(codec, level), callback);
+}
+
+/**
+ * Decompresses a buffer.
+ *
+ * @param {Buffer} buffer
+ * @param {string} codec
+ * @param {function} callback     callback(error, buffer)
+ */
+function decompress (buffer, codec, callback) {
+  check(codec);
+  if (! CODECS[codec]) return process.nextTick(callback, null, buffer);
+  CODECS[codec].decompress(buffer, callback);
+}
+
+module.exports = {
+  CODECS: Object.keys(CODECS),
+  check: check,
+  normalizeEncoding: normalizeEncoding,
+  getEncodingCodec: getEncodingCodec,
+  createCompressStream: createCompressStream,
+  createDecompressStream: createDecompressStream,
+  compress: compress,
+  decompress: decompress
+};
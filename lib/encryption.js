@@ -0,0 +1,238 @@
+/*
+Encryption helpers
+
+Cache entries are encrypted at rest with AES-256-GCM when the `encryption` setting is set, see CachedRequest.encryption:
+
+  {
+    keyId: string,          id of the key new entries are encrypted with, recorded in their meta
+    key: Buffer|string,     32-byte key, or its hex or base64 encoding
+    previousKeys: object    keys entries stored before a rotation are still decrypted with, by id
+  }
+
+Response bodies are stored as the IV (12 bytes), the ciphertext and the authentication tag (16 bytes), and the meta
+describing them records the id of the key they were encrypted with (`encryption: {keyId}`). Metas are stored as
+envelopes: {version: 2, keyId: string, encrypted: {iv: string, tag: string, data: string}}, base64-encoded. Both are
+authenticated along with their cache key, so that an entry can't be passed off as the one of another request.
+*/
+'use strict';
+
+var crypto = require("crypto")
+,   Transform = require("stream").Transform
+,   lo = require('lodash');
+
+var ALGORITHM = "aes-256-gcm"
+,   KEY_LENGTH = 32
+,   IV_LENGTH = 12
+,   TAG_LENGTH = 16;
+
+/**
+ * Returns the error of an entry that can't be decrypted: tampered with, encrypted with an unknown key, or not
+ * encrypted while it's expected to be.
+ *
+ * @param {string} message
+ * @param {string} [key]    cache key
+ * @return {Error}
+ */
+function decryptError (message, key) {
+  var error = new Error("cached-request: " + message);
+  error.code = "EDECRYPT";
+  error.key = key;
+  return error;
+}
+
+/**
+ * Returns a key as a buffer.
+ *
+ * @param {Buffer|string} key   32-byte key, or its hex or base64 encoding
+ * @param {string} keyId
+ * @return {Buffer}
+ */
+function parseKey (key, keyId) {
+  var buffer;
+
+  if (Buffer.isBuffer(key)) {
+    buffer = key;
+  } else if (typeof key === "string") {
+    buffer = /^[0-9a-f]+$/i.test(key) && key.length === KEY_LENGTH * 2 ?
+      Buffer.from(key, "hex") : Buffer.from(key, "base64");
+  };
+
+  if (! buffer || buffer.length !== KEY_LENGTH) {
+    throw new Error("cached-request: the encryption key " + keyId + " must be " + KEY_LENGTH + " bytes long");
+  };
+  return buffer;
+}
+
+/**
+ * Returns the keys of an encryption setting.
+ *
+ * @param {object} options    {keyId: string, key: Buffer|string, previousKeys: object}
+ * @return {object}           {keyId: string, key: Buffer, keys: object}, keys by id including the current one
+ */
+function getKeyring (options) {
+  var keys;
+
+  if (! options || typeof options.keyId !== "string" || ! options.keyId) {
+    throw new Error("cached-request: the encryption setting must have a keyId");
+  };
+
+  keys = lo.mapValues(options.previousKeys || {}, parseKey);
+  keys[options.keyId] = parseKey(options.key, options.keyId);
+
+  return {keyId: options.keyId, key: keys[options.keyId], keys: keys};
+}
+
+/**
+ * Returns the key an entry was encrypted with.
+ *
+ * @param {object} keyring    see getKeyring
+ * @param {string} keyId
+ * @param {string} key        cache key
+ * @return {Buffer}
+ */
+function getKey (keyring, keyId, key) {
+  if (! lo.has(keyring.keys, keyId)) throw decryptError("unknown encryption key " + keyId, key);
+  return keyring.keys[keyId];
+}
+
+/**
+ * Encrypts a buffer.
+ *
+ * @param {Buffer} buffer
+ * @param {Buffer} secret
+ * @param {string} key      cache key, authenticated along with the buffer
+ * @return {Buffer}         IV, ciphertext and authentication tag
+ */
+function encrypt (buffer, secret, key) {
+  var iv = crypto.randomBytes(IV_LENGTH)
+  ,   cipher = crypto.createCipheriv(ALGORITHM, secret, iv);
+
+  cipher.setAAD(Buffer.from(key));
+  return Buffer.concat([iv, cipher.update(buffer), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypts a buffer encrypted by encrypt.
+ *
+ * @param {Buffer} buffer
+ * @param {Buffer} secret
+ * @param {string} key      cache key
+ * @return {Buffer}
+ */
+function decrypt (buffer, secret, key) {
+  var decipher;
+
+  if (buffer.length < IV_LENGTH + TAG_LENGTH) throw decryptError("encrypted response is truncated", key);
+
+  try {
+    decipher = crypto.createDecipheriv(ALGORITHM, secret, buffer.slice(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(key));
+    decipher.setAuthTag(buffer.slice(buffer.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(buffer.slice(IV_LENGTH, buffer.length - TAG_LENGTH)), decipher.final()]);
+  } catch (e) {
+    throw decryptError("encrypted response failed authentication", key);
+  };
+}
+
+/**
+ * Returns a stream encrypting what's written to it, in the format of encrypt.
+ *
+ * @param {Buffer} secret
+ * @param {string} key      cache key
+ * @return {object}         transform stream
+ */
+function createEncryptStream (secret, key) {
+  var iv = crypto.randomBytes(IV_LENGTH)
+  ,   cipher = crypto.createCipheriv(ALGORITHM, secret, iv)
+  ,   stream = new Transform();
+
+  cipher.setAAD(Buffer.from(key));
+
+  stream._transform = function (chunk, encoding, callback) {
+    if (iv) {
+      this.push(iv);
+      iv = null;
+    };
+    callback(null, cipher.update(chunk));
+  };
+
+  stream._flush = function (callback) {
+    if (iv) this.push(iv);
+    this.push(cipher.final());
+    this.push(cipher.getAuthTag());
+    callback();
+  };
+
+  return stream;
+}
+
+/**
+ * Returns true if a stored meta is encrypted.
+ *
+ * @param {object} stored
+ * @return {boolean}
+ */
+function isEncryptedMeta (stored) {
+  return !! stored && lo.isPlainObject(stored.encrypted);
+}
+
+/**
+ * Returns the envelope a meta is stored in, encrypted with the current key.
+ *
+ * @param {object} meta
+ * @param {object} keyring    see getKeyring
+ * @param {string} key        cache key
+ * @return {object}
+ */
+function encryptMeta (meta, keyring, key) {
+  var data = encrypt(Buffer.from(JSON.stringify(meta)), keyring.key, key);
+
+  return {
+    version: meta.version,
+    keyId: keyring.keyId,
+    encrypted: {
+      iv: data.slice(0, IV_LENGTH).toString("base64"),
+      tag: data.slice(data.length - TAG_LENGTH).toString("base64"),
+      data: data.slice(IV_LENGTH, data.length - TAG_LENGTH).toString("base64")
+    }
+  };
+}
+
+/**
+ * Returns the meta stored in an envelope.
+ *
+ * @param {object} stored
+ * @param {object} keyring    see getKeyring
+ * @param {string} key        cache key
+ * @return {object}
+ */
+function decryptMeta (stored, keyring, key) {
+  var secret = getKey(keyring, stored.keyId, key)
+  ,   encrypted = stored.encrypted
+  ,   data;
+
+  data = Buffer.concat([
+    Buffer.from(String(encrypted.iv), "base64"),
+    Buffer.from(String(encrypted.data), "base64"),
+    Buffer.from(String(encrypted.tag), "base64")
+  ]);
+
+  try {
+    return JSON.parse(decrypt(data, secret, key).toString());
+  } catch (e) {
+    throw decryptError("encrypted meta failed authentication", key);
+  };
+}
+
+module.exports = {
+  ALGORITHM: ALGORITHM,
+  decryptError: decryptError,
+  getKeyring: getKeyring,
+  getKey: getKey,
+  encrypt: encrypt,
+  decrypt: decrypt,
+  createEncryptStream: createEncryptStream,
+  isEncryptedMeta: isEncryptedMeta,
+  encryptMeta: encryptMeta,
+  decryptMeta: decryptMeta
+};
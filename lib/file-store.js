@@ -0,0 +1,428 @@
+/*
+FileStore class
+
+Default storage backend: every response is stored in a file named after its cache key in the cache directory, next to
+a `<key>.json` metafile.
+
+With the `shardLevels` option, files are stored in nested subdirectories named after the first characters of their key
+instead (`shardWidth` characters per level, e.g. `<directory>/4e/0b/4e0bd1...` for 2 levels of 2 characters), which
+keeps directories small for caches holding hundreds of thousands of entries. Subdirectories are created on demand, and
+reshard() moves the files of an existing cache to the layout of the store.
+
+Storage backends implement the following methods. Callbacks are called with an error whose code is 'ENOENT' when the
+entry doesn't exist.
+
+  stat(key, callback)               callback(error, {mtime: Date, size: number}) for the response body
+  createReadStream(key)             readable stream of the response body, emits "open" once it can be read
+  createWriteStream(key)            writable stream for the response body, emits "finish" once it's stored
+  getMeta(key, callback)            callback(error, meta)
+  setMeta(key, meta, callback)      replaces the meta of an entry atomically
+  touch(key, time, callback)        sets the modification time of the response body
+  delete(key, callback)             removes the response body and meta of an entry
+  list(callback)                    callback(error, keys)
+  lock(key, lockOpt, callback)      callback(error, release), error code is 'ELOCKED' if the key is already locked
+  check(key, lockOpt, callback)     callback(error, locked)
+
+Optionally:
+
+  removeStaleLocks(lockOpt, callback)   removes the locks left behind by crashed processes, callback(error, removed)
+*/
+'use strict';
+
+var fs = require("graceful-fs")
+,   path = require("path")
+,   lo = require('lodash')
+,   mkdirp = require('mkdirp')
+,   writeFileAtomic = require('write-file-atomic')
+,   lockfile = require('proper-lockfile');
+
+// response files and metafiles, named after a SHA-256 cache key or the 32-bit hash key of previous versions, as opposed
+// to lockfiles, temporary files and the files that aren't part of the cache
+var ENTRY_FILE = /^([0-9a-f]{64}|-?\d+)(\.json)?$/;
+
+// subdirectories named after the first characters of keys, padded with "_" for the shorter ones, see getDirectory
+var SHARD_DIRECTORY = /^[0-9a-f_-]+$/;
+
+function FileStore (options) {
+  options = options || {};
+  lo.defaults(options, {
+    directory: "/tmp/",
+    shardLevels: 0,
+    shardWidth: 2
+  });
+
+  this.directory = options.directory;
+  if (this.directory.lastIndexOf("/") < this.directory.length - 1) {
+    this.directory += "/";
+  };
+  this.shardLevels = options.shardLevels;
+  this.shardWidth = options.shardWidth;
+};
+
+/**
+ * Returns the directory the files of a key are stored in, see shardLevels.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+FileStore.prototype.getDirectory = function (key) {
+  var directory = this.directory
+  ,   prefix = lo.padEnd(key, this.shardLevels * this.shardWidth, "_")
+  ,   i;
+
+  for (i = 0; i < this.shardLevels; i++) {
+    directory += prefix.substr(i * this.shardWidth, this.shardWidth) + "/";
+  }
+  return directory;
+};
+
+/**
+ * Creates the directory the files of a key are stored in if it doesn't exist.
+ *
+ * @param {string} key
+ * @param {function} callback
+ */
+FileStore.prototype.ensureDirectory = function (key, callback) {
+  if (! this.shardLevels) return process.nextTick(callback, null);
+  mkdirp(this.getDirectory(key), function (error) {
+    callback(error || null);
+  });
+};
+
+/**
+ * Returns the response file path of a key.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+FileStore.prototype.getResponsePath = function (key) {
+  return this.getDirectory(key) + key;
+};
+
+/**
+ * Returns the meta file path of a key.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+FileStore.prototype.getMetaPath = function (key) {
+  return this.getResponsePath(key) + '.json';
+};
+
+FileStore.prototype.stat = function (key, callback) {
+  fs.stat(this.getResponsePath(key), callback);
+};
+
+FileStore.prototype.createReadStream = function (key) {
+  return fs.createReadStream(this.getResponsePath(key));
+};
+
+FileStore.prototype.createWriteStream = function (key) {
+  // the stream is expected synchronously, the directory is usually created when the key is locked
+  if (this.shardLevels) mkdirp.sync(this.getDirectory(key));
+  return fs.createWriteStream(this.getResponsePath(key));
+};
+
+FileStore.prototype.getMeta = function (key, callback) {
+  fs.readFile(this.getMetaPath(key), function (error, data) {
+    var meta;
+
+    if (error) return callback(error);
+
+    try {
+      meta = JSON.parse(data.toString());
+    } catch (e) {
+      return callback(e);
+    };
+    callback(null, meta);
+  });
+};
+
+FileStore.prototype.setMeta = function (key, meta, callback) {
+  var self = this;
+
+  this.ensureDirectory(key, function (error) {
+    if (error) return callback(error);
+    writeFileAtomic(self.getMetaPath(key), JSON.stringify(meta), callback);
+  });
+};
+
+FileStore.prototype.touch = function (key, time, callback) {
+  fs.utimes(this.getResponsePath(key), time, time, callback);
+};
+
+FileStore.prototype.delete = function (key, callback) {
+  var paths = [this.getResponsePath(key), this.getMetaPath(key)]
+  ,   pending = paths.length
+  ,   failure = null;
+
+  paths.forEach(function (path) {
+    fs.unlink(path, function (error) {
+      if (error && error.code !== 'ENOENT') failure = failure || error;
+      if (--pending === 0) callback(failure);
+    });
+  });
+};
+
+/**
+ * Reads the directories the files are stored in (the cache directory, or the subdirectories at the depth given by
+ * shardLevels).
+ *
+ * @param {function} callback   callback(error, files), files are paths relative to the cache directory
+ */
+FileStore.prototype.readDirectories = function (callback) {
+  var self = this;
+
+  var read = function (directory, depth, callback) {
+    fs.readdir(self.directory + directory, function (error, files) {
+      var pending
+      ,   found = []
+      ,   failure = null;
+
+      // e.g. a file next to the subdirectories, left by the flat layout
+      if (error && (error.code === 'ENOTDIR' || depth && error.code === 'ENOENT')) return callback(null, []);
+      if (error) return callback(error);
+
+      if (depth === self.shardLevels) {
+        return callback(null, files.map(function (file) {
+          return directory + file;
+        }));
+      }
+
+      // subdirectories, leaving out the files whose name has an extension and the directories of other files
+      files = files.filter(function (file) {
+        return file.length === self.shardWidth && SHARD_DIRECTORY.test(file);
+      });
+      pending = files.length;
+      if (! pending) return callback(null, []);
+
+      files.forEach(function (file) {
+        read(directory + file + "/", depth + 1, function (error, files) {
+          failure = failure || error;
+          found = found.concat(files || []);
+          if (--pending === 0) callback(failure, found);
+        });
+      });
+    });
+  };
+
+  read("", 0, callback);
+};
+
+FileStore.prototype.list = function (callback) {
+  this.readDirectories(function (error, files) {
+    if (error) return callback(error);
+
+    // response files and metafiles, leaving out lockfiles and temporary files
+    callback(null, lo.uniq(files.map(function (file) {
+      return path.basename(file);
+    }).filter(function (file) {
+      return ENTRY_FILE.test(file);
+    }).map(function (file) {
+      return file.replace(/\.json$/, '');
+    })));
+  });
+};
+
+FileStore.prototype.lock = function (key, lockOpt, callback) {
+  var self = this;
+
+  // the lockfile is created next to the response file
+  this.ensureDirectory(key, function (error) {
+    if (error) return callback(error);
+    lockfile.lock(self.getResponsePath(key), lockOpt, callback);
+  });
+};
+
+FileStore.prototype.check = function (key, lockOpt, callback) {
+  lockfile.check(this.getResponsePath(key), lockOpt, callback);
+};
+
+FileStore.prototype.removeStaleLocks = function (lockOpt, callback) {
+  var self = this;
+
+  this.readDirectories(function (error, files) {
+    var locks
+    ,   pending
+    ,   removed = 0
+    ,   failure = null;
+
+    if (error) return callback(error);
+
+    locks = files.filter(function (file) {
+      return /\.lock$/.test(file);
+    });
+    pending = locks.length;
+    if (! pending) return callback(null, 0);
+
+    locks.forEach(function (file) {
+      var done = function (error) {
+        if (error && error.code !== 'ENOENT') failure = failure || error;
+        if (--pending === 0) callback(failure, removed);
+      };
+
+      // a lock isn't reported as locked anymore once it's stale
+      lockfile.check(self.directory + file.replace(/\.lock$/, ''), lockOpt, function (error, locked) {
+        if (error || locked) return done(error);
+
+        fs.rmdir(self.directory + file, function (error) {
+          if (! error) removed++;
+          done(error);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Lists the response files and metafiles stored anywhere under the cache directory, whatever its layout: in the
+ * directory itself or in the subdirectories named after the first characters of their key, at any depth and width.
+ * Other files and directories are left out.
+ *
+ * @param {function} callback   callback(error, files, directories), paths relative to the cache directory, the
+ *                              subdirectories listed after their own subdirectories
+ */
+FileStore.prototype.walk = function (callback) {
+  var self = this;
+
+  // prefix is made of the names of the subdirectories the keys of the files of directory start with
+  var walk = function (directory, prefix, callback) {
+    fs.readdir(self.directory + directory, function (error, files) {
+      var pending
+      ,   found = []
+      ,   directories = []
+      ,   failure = null;
+
+      if (error) return callback(error);
+
+      files = files.filter(function (file) {
+        return ENTRY_FILE.test(file) || SHARD_DIRECTORY.test(file);
+      });
+      pending = files.length;
+      if (! pending) return callback(null, found, directories);
+
+      files.forEach(function (file) {
+        var done = function (error) {
+          failure = failure || error;
+          if (--pending === 0) callback(failure, found, directories);
+        };
+
+        fs.stat(self.directory + directory + file, function (error, stats) {
+          var key = file.replace(/\.json$/, '');
+
+          if (error) return done(error.code === 'ENOENT' ? null : error);
+          if (! stats.isDirectory()) {
+            if (ENTRY_FILE.test(file) && lo.startsWith(lo.padEnd(key, prefix.length, "_"), prefix)) {
+              found.push(directory + file);
+            }
+            return done();
+          }
+          if (! SHARD_DIRECTORY.test(file)) return done();
+
+          walk(directory + file + "/", prefix + file, function (error, files, subdirectories) {
+            found = found.concat(files || []);
+            directories = directories.concat(subdirectories || [], [directory + file]);
+            done(error);
+          });
+        });
+      });
+    });
+  };
+
+  walk("", "", callback);
+};
+
+/**
+ * Moves the files of every entry to the location given by the layout of the store (see shardLevels), e.g. to shard a
+ * flat cache directory, then removes the subdirectories left empty. Each entry is locked while its files are moved, and
+ * entries that are locked are skipped; run it again to move them. If an entry is stored in both layouts, the copy in
+ * the layout of the store is kept.
+ *
+ * @param {object} [lockOpt]    see CachedRequest.getLockOpt
+ * @param {function} callback   callback(error, {moved: number, skipped: number})
+ */
+FileStore.prototype.reshard = function (lockOpt, callback) {
+  var self = this
+  ,   result = {moved: 0, skipped: 0};
+
+  if (typeof lockOpt === 'function') {
+    callback = lockOpt;
+    lockOpt = {realpath: false};
+  }
+
+  var move = function (key, files, callback) {
+    self.lock(key, lockOpt, function (error, release) {
+      if (error && error.code === 'ELOCKED') {
+        result.skipped++;
+        return callback(null);
+      }
+      if (error) return callback(error);
+
+      var done = function (error) {
+        release(function () {
+          callback(error);
+        });
+      };
+
+      fs.stat(self.getResponsePath(key), function (error) {
+        var exists = ! error
+        ,   pending = files.length
+        ,   failure = null;
+
+        if (error && error.code !== 'ENOENT') return done(error);
+
+        files.forEach(function (file) {
+          var from = self.directory + file
+          ,   to = /\.json$/.test(file) ? self.getMetaPath(key) : self.getResponsePath(key)
+          ,   next = function (error) {
+                if (error && error.code !== 'ENOENT') failure = failure || error;
+                if (--pending === 0) {
+                  if (! failure) result.moved++;
+                  done(failure);
+                }
+              };
+
+          // already stored in the layout of the store, drop the other copy
+          if (exists) return fs.unlink(from, next);
+          fs.rename(from, to, next);
+        });
+      });
+    });
+  };
+
+  this.walk(function (error, files, directories) {
+    var misplaced;
+
+    if (error) return callback(error);
+
+    misplaced = lo.groupBy(files.filter(function (file) {
+      var key = path.basename(file).replace(/\.json$/, '');
+      return self.directory + file !== (/\.json$/.test(file) ? self.getMetaPath(key) : self.getResponsePath(key));
+    }), function (file) {
+      return path.basename(file).replace(/\.json$/, '');
+    });
+
+    // one entry at a time
+    lo.reduceRight(lo.keys(misplaced), function (next, key) {
+      return function (error) {
+        if (error) return callback(error);
+        move(key, misplaced[key], next);
+      };
+    }, function (error) {
+      if (error) return callback(error);
+
+      // the subdirectories of the other layout, only the empty ones are removed
+      lo.reduceRight(directories, function (next, directory) {
+        return function () {
+          fs.rmdir(self.directory + directory, function () {
+            next();
+          });
+        };
+      }, function () {
+        callback(null, result);
+      })();
+    })();
+  });
+};
+
+module.exports = FileStore;
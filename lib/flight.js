@@ -0,0 +1,86 @@
+/*
+Flight class
+
+The upstream request made for a cache key, which the concurrent requests for the same key in this process attach to
+instead of waiting for the response to be cached (see CachedRequest.joinFlight). The response body isn't kept in
+memory, so requests can only attach until its first chunk is received; the later ones wait for the response to be
+cached instead.
+
+Events:
+  response(response)    the upstream response was received and is passed on
+  data(chunk)           a chunk of the response body
+  end()                 the response ended
+  failure(error)        the request failed
+  settle()              the request that made it is done, e.g. the response was cached or the cache entry was served
+                        instead. Requests still waiting for a response should look up the cache again
+*/
+'use strict';
+
+var util = require("util")
+,   EventEmitter = require("events").EventEmitter;
+
+util.inherits(Flight, EventEmitter);
+
+function Flight () {
+  EventEmitter.call(this);
+
+  // every concurrent request for the key may be waiting
+  this.setMaxListeners(0);
+
+  this.response = null;
+  this.joinable = true;
+  this.ended = false;
+  this.error = null;
+  this.settled = false;
+};
+
+/**
+ * Passes on the upstream response.
+ *
+ * @param {object} response   http.IncomingMessage
+ */
+Flight.prototype.respond = function (response) {
+  var self = this;
+
+  this.response = response;
+
+  response.on("data", function (data) {
+    self.joinable = false;
+    self.emit("data", data);
+  });
+
+  response.on("end", function () {
+    self.ended = true;
+    self.emit("end");
+  });
+
+  response.on("error", function (error) {
+    self.fail(error);
+  });
+
+  this.emit("response", response);
+};
+
+/**
+ * Passes on the failure of the request.
+ *
+ * @param {Error} error
+ */
+Flight.prototype.fail = function (error) {
+  if (this.error) return;
+
+  this.error = error;
+  this.emit("failure", error);
+};
+
+/**
+ * Signals the request that made it is done.
+ */
+Flight.prototype.settle = function () {
+  if (this.settled) return;
+
+  this.settled = true;
+  this.emit("settle");
+};
+
+module.exports = Flight;
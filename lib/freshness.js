@@ -0,0 +1,165 @@
+/*
+HTTP freshness helpers (https://tools.ietf.org/html/rfc7234)
+*/
+'use strict';
+
+/**
+ * Parses a Cache-Control header value. Directive names are lower-cased, directives with a numeric argument (e.g.
+ * max-age) are converted to numbers, and directives without an argument are set to true.
+ *
+ * @param {string} value
+ * @return {object}
+ */
+function parseCacheControl (value) {
+  var directives = {};
+
+  if (Array.isArray(value)) value = value.join(",");
+  if (! value) return directives;
+
+  String(value).split(",").forEach(function (part) {
+    var index = part.indexOf("=")
+    ,   name = (index === -1 ? part : part.slice(0, index)).trim().toLowerCase()
+    ,   arg;
+
+    if (! name) return;
+    if (index === -1) return directives[name] = true;
+
+    arg = part.slice(index + 1).trim().replace(/^"|"$/g, "");
+    directives[name] = /^\d+$/.test(arg) ? parseInt(arg, 10) : arg;
+  });
+
+  return directives;
+}
+
+function parseDate (value) {
+  var time = Date.parse(value);
+  return isNaN(time) ? undefined : time;
+}
+
+/**
+ * Returns false if the response headers forbid storing the response: `no-store` always, `private` only when acting as
+ * a shared cache.
+ *
+ * @param {object} headers    response headers
+ * @param {object} opt        {sharedCache: boolean}
+ * @return {boolean}
+ */
+function isStorable (headers, opt) {
+  var cc = parseCacheControl(headers["cache-control"]);
+
+  opt = opt || {};
+  if (cc["no-store"]) return false;
+  if (cc["private"] && opt.sharedCache) return false;
+  return true;
+}
+
+/**
+ * Returns the freshness lifetime of a response in milliseconds, or undefined if the headers carry no freshness
+ * information at all. s-maxage is only honored when acting as a shared cache. Expires and Last-Modified are relative
+ * to the Date header, or to the time the response was received if it has none (RFC 7234, section 4.2.1).
+ *
+ * @param {object} headers          response headers
+ * @param {object} opt              {sharedCache: boolean}
+ * @param {number} [responseTime]   time the response was received, now by default
+ * @return {number|undefined}
+ */
+function getLifetime (headers, opt, responseTime) {
+  var cc = parseCacheControl(headers["cache-control"])
+  ,   date = parseDate(headers["date"])
+  ,   expires
+  ,   lastModified;
+
+  opt = opt || {};
+  if (date === undefined) date = responseTime || Date.now();
+
+  if (cc["no-cache"]) return 0;
+  if (opt.sharedCache && typeof cc["s-maxage"] === "number") return cc["s-maxage"] * 1000;
+  if (typeof cc["max-age"] === "number") return cc["max-age"] * 1000;
+
+  if (headers["expires"] !== undefined) {
+    // an invalid Expires value (e.g. "0") means already expired
+    expires = parseDate(headers["expires"]);
+    if (expires === undefined) return 0;
+    return Math.max(0, expires - date);
+  }
+
+  // heuristic freshness: 10% of the time since the resource was last modified
+  lastModified = parseDate(headers["last-modified"]);
+  if (lastModified !== undefined) {
+    return Math.max(0, Math.floor((date - lastModified) / 10));
+  }
+}
+
+/**
+ * Returns the current age of a stored response in milliseconds.
+ *
+ * @param {object} headers        response headers
+ * @param {number} responseTime   time the response was stored
+ * @param {number} [now]
+ * @return {number}
+ */
+function getAge (headers, responseTime, now) {
+  var date = parseDate(headers["date"])
+  ,   ageValue = parseInt(headers["age"], 10) * 1000 || 0
+  ,   apparentAge = date === undefined ? 0 : Math.max(0, responseTime - date);
+
+  now = now || Date.now();
+  return Math.max(apparentAge, ageValue) + Math.max(0, now - responseTime);
+}
+
+/**
+ * Returns the freshness lifetime in milliseconds after applying the `ttl` option. When `ttlMode` is "override" a
+ * non-zero ttl replaces the lifetime computed from the headers, otherwise ("ceiling") it caps it. A non-zero ttl is
+ * also used when the headers carry no freshness information.
+ *
+ * @param {object} headers          response headers
+ * @param {object} opt              {ttl: number, ttlMode: string, sharedCache: boolean}
+ * @param {number} [responseTime]   see getLifetime
+ * @return {number}
+ */
+function getTtl (headers, opt, responseTime) {
+  var lifetime = getLifetime(headers, opt, responseTime);
+
+  opt = opt || {};
+  if (opt.ttl > 0) {
+    if (opt.ttlMode === "override" || lifetime === undefined) return opt.ttl;
+    return Math.min(lifetime, opt.ttl);
+  }
+  return lifetime || 0;
+}
+
+/**
+ * Returns true if a stored response is still fresh.
+ *
+ * @param {object} headers        response headers
+ * @param {number} responseTime   time the response was stored
+ * @param {object} opt            see getTtl
+ * @return {boolean}
+ */
+function isFresh (headers, responseTime, opt) {
+  return getAge(headers, responseTime) < getTtl(headers, opt, responseTime);
+}
+
+/**
+ * Returns the window in milliseconds during which a stale response may still be used according to a Cache-Control
+ * extension directive such as stale-while-revalidate (https://tools.ietf.org/html/rfc5861), or undefined if the
+ * directive isn't present.
+ *
+ * @param {object} headers    response headers
+ * @param {string} directive
+ * @return {number|undefined}
+ */
+function getStaleWindow (headers, directive) {
+  var value = parseCacheControl(headers["cache-control"])[directive];
+  return typeof value === "number" ? value * 1000 : undefined;
+}
+
+module.exports = {
+  parseCacheControl: parseCacheControl,
+  isStorable: isStorable,
+  getLifetime: getLifetime,
+  getAge: getAge,
+  getTtl: getTtl,
+  isFresh: isFresh,
+  getStaleWindow: getStaleWindow
+};
@@ -0,0 +1,276 @@
+/*
+HAR helpers
+
+Converts cache entries to and from the entries of HAR 1.2 logs (http://www.softwareishard.com/blog/har-12-spec/), see
+CachedRequest.exportHar and CachedRequest.importHar.
+
+Bodies are always decoded in HAR logs: the `content.text` of a response is its body once decompressed, base64-encoded
+(`content.encoding: "base64"`) unless it's valid UTF-8 text. Entries exported by cached-request also carry the
+request key they were stored for in a `_requestKey` field, so that they're imported under the same cache key, unless
+the request had credentials, which aren't stored (see meta.redactRequestKey).
+*/
+'use strict';
+
+var url = require("url")
+,   http = require("http")
+,   lo = require('lodash')
+,   metadata = require('./meta')
+,   pkg = require("../package.json");
+
+var VERSION = "1.2";
+
+// request headers set by the client itself rather than by the request options, and HTTP/2 pseudo-headers
+var CLIENT_HEADERS = /^(:.*|host|connection|content-length)$/i;
+
+// response headers describing the body as it was transferred, rather than its decoded content
+var TRANSFER_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Returns the name and value pairs of a HAR log of a headers object.
+ *
+ * @param {object} headers
+ * @return {array}
+ */
+function toPairs (headers) {
+  return lo.chunk(metadata.toRawHeaders(headers), 2).map(function (pair) {
+    return {name: pair[0], value: pair[1]};
+  });
+}
+
+/**
+ * Returns the HTTP version of a HAR log in the form of http.IncomingMessage, e.g. "1.1" for "HTTP/1.1" or "2.0" for
+ * "h2". Unknown versions are reported as 1.1.
+ *
+ * @param {string} version
+ * @return {string}
+ */
+function parseHttpVersion (version) {
+  var match = /(\d+)(?:\.(\d+))?/.exec(version || "");
+  return match ? match[1] + "." + (match[2] || "0") : "1.1";
+}
+
+/**
+ * Returns the content of a body in a HAR log.
+ *
+ * @param {Buffer} body
+ * @param {string} mimeType
+ * @return {object}
+ */
+function toContent (body, mimeType) {
+  var text = body.toString("utf8")
+  ,   content = {size: body.length, mimeType: mimeType || ""};
+
+  // bytes that aren't UTF-8 text don't survive the round trip through a string
+  if (Buffer.from(text, "utf8").equals(body)) {
+    content.text = text;
+  } else {
+    content.text = body.toString("base64");
+    content.encoding = "base64";
+  }
+  return content;
+}
+
+/**
+ * Returns the request a cache entry was stored for: its method, url, headers and payload as they're recorded in the
+ * request key (see CachedRequest.normalizeOptions), or only the method and url of the meta if the key was returned by
+ * the cacheKey option.
+ *
+ * @param {object} meta
+ * @return {object}     {method: string, url: string, headers: object, payload: string|object}
+ */
+function getRequest (meta) {
+  var request;
+
+  try {
+    // variant request keys are followed by the values of the request headers they're selected by
+    request = JSON.parse(String(meta.requestKey).split("\n")[0]);
+  } catch (e) {};
+
+  if (! lo.isPlainObject(request) || typeof request.url !== "string") {
+    request = {method: meta.method, url: meta.url, headers: {}, payload: ""};
+  }
+
+  return {
+    method: request.method || meta.method || "GET",
+    url: request.url,
+    headers: request.headers || {},
+    payload: request.payload || ""
+  };
+}
+
+/**
+ * Returns the HAR entry of a cache entry.
+ *
+ * @param {object} meta         see meta.js
+ * @param {Buffer} body         decoded response body
+ * @param {number} [storedAt]   time the response was stored, used when the meta doesn't record when it was requested
+ * @return {object}
+ */
+function toEntry (meta, body, storedAt) {
+  var request = getRequest(meta)
+  ,   requestTime = meta.requestTime || meta.responseTime || storedAt || Date.now()
+  ,   wait = meta.requestTime && meta.responseTime ? meta.responseTime - meta.requestTime : 0
+  ,   payload = typeof request.payload === "string" ? request.payload : JSON.stringify(request.payload)
+  ,   query = url.parse(request.url || "", true).query
+  ,   findHeader = function (headers, name) {
+        return lo.find(headers, function (value, key) {
+          return key.toLowerCase() === name;
+        });
+      }
+  ,   entry;
+
+  entry = {
+    startedDateTime: new Date(requestTime).toISOString(),
+    time: wait,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: "HTTP/" + meta.httpVersion,
+      cookies: [],
+      headers: toPairs(request.headers),
+      queryString: toPairs(query),
+      headersSize: -1,
+      bodySize: Buffer.byteLength(payload)
+    },
+    response: {
+      status: meta.statusCode,
+      statusText: meta.statusMessage || "",
+      httpVersion: "HTTP/" + meta.httpVersion,
+      cookies: [],
+      headers: lo.chunk(meta.rawHeaders, 2).map(function (pair) {
+        return {name: pair[0], value: pair[1]};
+      }),
+      content: toContent(body, meta.headers["content-type"]),
+      redirectURL: meta.headers["location"] || "",
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: {send: 0, wait: wait, receive: 0},
+    _requestKey: meta.requestKey
+  };
+
+  if (payload) {
+    entry.request.postData = {
+      mimeType: findHeader(request.headers, "content-type") ||
+        (typeof request.payload === "string" ? "" : "application/json"),
+      text: payload
+    };
+  }
+
+  return entry;
+}
+
+/**
+ * Returns a HAR log.
+ *
+ * @param {array} entries
+ * @return {object}
+ */
+function createLog (entries) {
+  return {
+    log: {
+      version: VERSION,
+      creator: {name: pkg.name, version: pkg.version},
+      entries: entries
+    }
+  };
+}
+
+/**
+ * Returns the entries of a HAR log.
+ *
+ * @param {string|object} har     HAR log or its JSON
+ * @return {array}
+ */
+function getEntries (har) {
+  if (typeof har === "string" || Buffer.isBuffer(har)) har = JSON.parse(har.toString());
+
+  if (! har || ! har.log || ! Array.isArray(har.log.entries)) {
+    throw new Error("cached-request: invalid HAR log, log.entries is missing");
+  }
+  return har.log.entries;
+}
+
+/**
+ * Returns the request options, response and decoded body of a HAR entry, or null if it has no response (e.g. the
+ * request was aborted). The response has the fields of http.IncomingMessage the meta is made of, see
+ * meta.fromResponse, without the headers describing how the body was transferred since it's stored decoded.
+ *
+ * @param {object} entry
+ * @return {object|null}      {requestKey: string, options: object, response: object, body: Buffer,
+ *                            requestTime: number, responseTime: number}
+ */
+function fromEntry (entry) {
+  var request = entry.request || {}
+  ,   response = entry.response || {}
+  ,   content = response.content || {}
+  ,   postData = request.postData
+  ,   headers = {}
+  ,   rawHeaders = []
+  ,   options
+  ,   requestTime = Date.parse(entry.startedDateTime)
+  ,   httpVersion = parseHttpVersion(response.httpVersion);
+
+  if (! response.status || ! request.url) return null;
+
+  (request.headers || []).forEach(function (header) {
+    if (! CLIENT_HEADERS.test(header.name)) headers[header.name] = header.value;
+  });
+
+  options = {method: (request.method || "GET").toUpperCase(), url: request.url, headers: headers};
+
+  if (postData && postData.text) {
+    options.body = postData.text;
+
+    // same key as a request made with the json option
+    if (/[/+]json\b/i.test(postData.mimeType || "")) {
+      try {
+        options.json = JSON.parse(postData.text);
+        delete options.body;
+      } catch (e) {};
+    }
+  }
+
+  headers = {};
+  (response.headers || []).forEach(function (header) {
+    var name = header.name.toLowerCase();
+
+    if (name.charAt(0) === ":") return;
+    if (TRANSFER_HEADERS.indexOf(name) !== -1) return;
+
+    rawHeaders.push(header.name, header.value);
+    // repeated headers are joined like node does, except Set-Cookie which is listed
+    if (name === "set-cookie") {
+      headers[name] = (headers[name] || []).concat(header.value);
+    } else {
+      headers[name] = headers[name] !== undefined ? headers[name] + ", " + header.value : header.value;
+    }
+  });
+
+  if (isNaN(requestTime)) requestTime = undefined;
+
+  return {
+    requestKey: entry._requestKey,
+    options: options,
+    response: {
+      statusCode: response.status,
+      statusMessage: response.statusText || http.STATUS_CODES[response.status],
+      httpVersion: httpVersion,
+      headers: headers,
+      rawHeaders: rawHeaders,
+      request: {method: options.method, href: options.url}
+    },
+    body: Buffer.from(content.text || "", content.encoding === "base64" ? "base64" : "utf8"),
+    requestTime: requestTime,
+    responseTime: requestTime !== undefined ? requestTime + Math.max(entry.time || 0, 0) : undefined
+  };
+}
+
+module.exports = {
+  VERSION: VERSION,
+  toEntry: toEntry,
+  fromEntry: fromEntry,
+  createLog: createLog,
+  getEntries: getEntries
+};
@@ -13,6 +13,10 @@ var cachedRequest = require("./cached-request")(request);
 //Set cache directory
 cachedRequest.setCacheDirectory(pathToCacheDirectory);
 
+//Or use another storage backend, e.g. keep responses in memory
+var MemoryStore = require("./index").MemoryStore;
+cachedRequest.setValue("store", new MemoryStore());
+
 //Now you can use `cachedRequest` just as you use https://github.com/request/request
 //Using callback
 cachedRequest(options, function (error, response, body) {
@@ -20,12 +24,26 @@ cachedRequest(options, function (error, response, body) {
 });
 //Or as a stream
 cachedRequest(options).pipe(someWriteStream);
+//Or returning a promise
+cachedRequest.fetch(options).then(function (result) {
+  //result.response, result.body, result.fromCache
+});
+//Shortcut methods and defaults work like request's
+cachedRequest.get(url, options, callback);
+var api = cachedRequest.defaults({ttl: 60 * 1000, headers: {"Accept": "application/json"}});
 */
 'use strict';
 
-var CachedRequest = require("./cached-request");
+var CachedRequest = require("./cached-request")
+,   FileStore = require("./file-store")
+,   MemoryStore = require("./memory-store")
+,   LruStore = require("./lru-store");
 
 module.exports = function (request) {
   if (!request) throw new Error("A request (https://github.com/request/request) instance must be provided");
   return new CachedRequest(request);
-};
\ No newline at end of file
+};
+
+module.exports.FileStore = FileStore;
+module.exports.MemoryStore = MemoryStore;
+module.exports.LruStore = LruStore;
\ No newline at end of file
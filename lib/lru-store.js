@@ -0,0 +1,334 @@
+/*
+LruStore class
+
+Storage backend keeping the most recently used small responses in memory in front of another storage backend (a
+FileStore by default), see FileStore for the interface. Entries are cached in memory when they're read from or written
+to the backend, and evicted least recently used first once there are more than `maxEntries` of them or their bodies
+take more than `maxBytes`. Responses bigger than `maxEntrySize` are always read from the backend.
+
+Writes, deletes and meta updates go through both tiers. Changes made to the backend by other processes aren't seen
+until the entry is evicted from memory.
+
+Keys are locked in memory only while their entry is in memory, without the filesystem operations of a FileStore lock
+(other processes sharing the backend don't see these locks, like they don't see the entries of this one), and through
+the backend otherwise.
+
+The files of the entries are the ones of the backend, if it has any (see FileStore.getResponsePath).
+
+What's read from the backend of an entry that isn't in memory (its mtime and meta) is kept until its body is read, so
+that it can be kept in memory then. At most `maxEntries` such pending entries are kept, the least recently updated
+are forgotten first: scans of the backend (e.g. purge or gc) read the meta of every entry without reading their body.
+*/
+'use strict';
+
+var PassThrough = require("stream").PassThrough
+,   Writable = require("stream").Writable
+,   lo = require('lodash')
+,   FileStore = require("./file-store");
+
+function LruStore (backend, options) {
+  options = options || {};
+  lo.defaults(options, {
+    maxEntries: 1000,
+    maxBytes: 16 * 1024 * 1024,
+    maxEntrySize: 256 * 1024
+  });
+
+  this.backend = backend || new FileStore();
+  this.maxEntries = options.maxEntries;
+  this.maxBytes = options.maxBytes;
+  this.maxEntrySize = options.maxEntrySize;
+  this.entries = new Map();
+  this.pending = new Map();
+  this.locks = new Map();
+  this.bytes = 0;
+
+  if (typeof this.backend.getResponsePath === 'function') {
+    this.getResponsePath = this.backend.getResponsePath.bind(this.backend);
+    this.getMetaPath = this.backend.getMetaPath.bind(this.backend);
+  }
+};
+
+/**
+ * Returns the in-memory entry of a key, marking it as the most recently used.
+ *
+ * @param {string} key
+ * @return {object|undefined}     {body: Buffer, meta: object, mtime: Date}
+ */
+LruStore.prototype.getEntry = function (key) {
+  var entry = this.entries.get(key);
+
+  if (entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+  return entry;
+};
+
+/**
+ * Keeps an entry in memory if it's small enough, evicting the least recently used entries to make room for it.
+ *
+ * @param {string} key
+ * @param {object} entry    {body: Buffer, meta: object, mtime: Date}
+ */
+LruStore.prototype.setEntry = function (key, entry) {
+  var oldest;
+
+  this.evict(key);
+  if (entry.body.length > this.maxEntrySize || entry.body.length > this.maxBytes) return;
+
+  this.entries.set(key, entry);
+  this.bytes += entry.body.length;
+
+  while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+    oldest = this.entries.keys().next().value;
+    this.evict(oldest);
+  }
+};
+
+/**
+ * Records what's known of an entry that isn't in memory yet, forgetting the least recently updated pending entries
+ * beyond maxEntries.
+ *
+ * @param {string} key
+ * @param {object} fields     {meta: object, mtime: Date, body: Buffer}
+ * @return {object}           the pending entry
+ */
+LruStore.prototype.setPending = function (key, fields) {
+  var pending = lo.assign({}, this.pending.get(key), fields);
+
+  this.pending.delete(key);
+  this.pending.set(key, pending);
+
+  while (this.pending.size > this.maxEntries) {
+    this.pending.delete(this.pending.keys().next().value);
+  }
+  return pending;
+};
+
+/**
+ * Returns and forgets the pending entry of a key.
+ *
+ * @param {string} key
+ * @return {object|undefined}     see setPending
+ */
+LruStore.prototype.takePending = function (key) {
+  var pending = this.pending.get(key);
+
+  this.pending.delete(key);
+  return pending;
+};
+
+/**
+ * Removes an entry from memory.
+ *
+ * @param {string} key
+ */
+LruStore.prototype.evict = function (key) {
+  var entry = this.entries.get(key);
+
+  this.pending.delete(key);
+  if (! entry) return;
+
+  this.entries.delete(key);
+  this.bytes -= entry.body.length;
+};
+
+LruStore.prototype.stat = function (key, callback) {
+  var self = this
+  ,   entry = this.getEntry(key);
+
+  if (entry) {
+    return process.nextTick(callback, null, {mtime: entry.mtime, size: entry.body.length});
+  }
+
+  this.backend.stat(key, function (error, stats) {
+    if (error) return callback(error);
+
+    // remember it, the entry is kept in memory once its body is read
+    self.setPending(key, {mtime: stats.mtime});
+    callback(null, stats);
+  });
+};
+
+LruStore.prototype.createReadStream = function (key) {
+  var self = this
+  ,   entry = this.getEntry(key)
+  ,   stream
+  ,   chunks = []
+  ,   size = 0;
+
+  if (entry) {
+    stream = new PassThrough();
+    process.nextTick(function () {
+      stream.emit('open');
+      stream.end(entry.body);
+    });
+    return stream;
+  }
+
+  stream = this.backend.createReadStream(key);
+
+  stream.on('data', function (data) {
+    size += data.length;
+    if (size <= self.maxEntrySize) chunks.push(data);
+  });
+
+  stream.on('end', function () {
+    var pending = self.takePending(key);
+
+    if (! pending || ! pending.meta || ! pending.mtime || size > self.maxEntrySize) return;
+
+    self.setEntry(key, {body: Buffer.concat(chunks), meta: pending.meta, mtime: pending.mtime});
+  });
+
+  return stream;
+};
+
+LruStore.prototype.createWriteStream = function (key) {
+  var self = this
+  ,   writer
+  ,   chunks = []
+  ,   size = 0
+  ,   stream;
+
+  // the stored body is being replaced
+  this.evict(key);
+
+  writer = this.backend.createWriteStream(key);
+
+  stream = new Writable({
+    write: function (chunk, encoding, callback) {
+      size += chunk.length;
+      if (size <= self.maxEntrySize) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+      writer.write(chunk, encoding, callback);
+    },
+    final: function (callback) {
+      writer.once('finish', function () {
+        // the entry is kept in memory once its meta is set
+        if (size <= self.maxEntrySize) {
+          self.takePending(key);
+          self.setPending(key, {body: Buffer.concat(chunks), mtime: new Date()});
+        }
+        callback();
+      });
+      writer.end();
+    }
+  });
+
+  writer.on('error', function (error) {
+    stream.emit('error', error);
+  });
+
+  return stream;
+};
+
+LruStore.prototype.getMeta = function (key, callback) {
+  var self = this
+  ,   entry = this.getEntry(key);
+
+  if (entry) return process.nextTick(callback, null, lo.cloneDeep(entry.meta));
+
+  this.backend.getMeta(key, function (error, meta) {
+    if (error) return callback(error);
+
+    self.setPending(key, {meta: lo.cloneDeep(meta)});
+    callback(null, meta);
+  });
+};
+
+LruStore.prototype.setMeta = function (key, meta, callback) {
+  var self = this;
+
+  this.backend.setMeta(key, meta, function (error) {
+    var entry = self.entries.get(key)
+    ,   pending = self.pending.get(key);
+
+    if (error) {
+      self.evict(key);
+      return callback(error);
+    }
+
+    if (entry) {
+      entry.meta = lo.cloneDeep(meta);
+    } else if (pending && pending.body) {
+      // a freshly written entry
+      self.pending.delete(key);
+      self.setEntry(key, {body: pending.body, meta: lo.cloneDeep(meta), mtime: pending.mtime});
+    } else if (pending) {
+      pending.meta = lo.cloneDeep(meta);
+    }
+    callback(null);
+  });
+};
+
+LruStore.prototype.touch = function (key, time, callback) {
+  var self = this;
+
+  this.backend.touch(key, time, function (error) {
+    var entry = self.entries.get(key) || self.pending.get(key);
+
+    if (error) {
+      self.evict(key);
+      return callback(error);
+    }
+
+    if (entry) entry.mtime = time;
+    callback(null);
+  });
+};
+
+LruStore.prototype.delete = function (key, callback) {
+  this.evict(key);
+  this.backend.delete(key, callback);
+};
+
+LruStore.prototype.list = function (callback) {
+  this.backend.list(callback);
+};
+
+LruStore.prototype.lock = function (key, lockOpt, callback) {
+  var self = this
+  ,   token = {}
+  ,   error;
+
+  // locked by this process, whichever way
+  if (this.locks.has(key)) {
+    error = new Error("cached-request: key " + key + " is already locked");
+    error.code = 'ELOCKED';
+    return process.nextTick(callback, error);
+  }
+
+  // the lock of this process, along with the one of the backend if it was locked through it
+  var hold = function (release) {
+    return function (callback) {
+      if (self.locks.get(key) === token) self.locks.delete(key);
+      if (release) return release(callback);
+      if (callback) process.nextTick(callback);
+    };
+  };
+
+  this.locks.set(key, token);
+  if (this.entries.has(key)) return process.nextTick(callback, null, hold());
+
+  this.backend.lock(key, lockOpt, function (error, release) {
+    if (error) {
+      self.locks.delete(key);
+      return callback(error);
+    }
+    callback(null, hold(release));
+  });
+};
+
+LruStore.prototype.check = function (key, lockOpt, callback) {
+  if (this.locks.has(key)) return process.nextTick(callback, null, true);
+  if (this.entries.has(key)) return process.nextTick(callback, null, false);
+  this.backend.check(key, lockOpt, callback);
+};
+
+LruStore.prototype.removeStaleLocks = function (lockOpt, callback) {
+  if (typeof this.backend.removeStaleLocks !== 'function') return process.nextTick(callback, null, 0);
+  this.backend.removeStaleLocks(lockOpt, callback);
+};
+
+module.exports = LruStore;
@@ -0,0 +1,140 @@
+/*
+MemoryStore class
+
+Storage backend keeping every response in memory, see FileStore for the interface. Nothing is shared between
+processes and entries are lost when the process exits.
+*/
+'use strict';
+
+var PassThrough = require("stream").PassThrough
+,   Writable = require("stream").Writable
+,   lo = require('lodash');
+
+function MemoryStore () {
+  this.entries = {};
+  this.locks = {};
+};
+
+function notFound (key) {
+  var error = new Error("cached-request: no entry stored for key " + key);
+  error.code = 'ENOENT';
+  return error;
+}
+
+/**
+ * Returns the entry of a key if its response body was stored.
+ *
+ * @param {string} key
+ * @return {object|undefined}     {body: Buffer, mtime: Date, meta: object}
+ */
+MemoryStore.prototype.getEntry = function (key) {
+  var entry = this.entries[key];
+  return entry && entry.body ? entry : undefined;
+};
+
+MemoryStore.prototype.stat = function (key, callback) {
+  var entry = this.getEntry(key);
+
+  process.nextTick(function () {
+    if (! entry) return callback(notFound(key));
+    callback(null, {mtime: entry.mtime, size: entry.body.length});
+  });
+};
+
+MemoryStore.prototype.createReadStream = function (key) {
+  var entry = this.getEntry(key)
+  ,   stream = new PassThrough();
+
+  process.nextTick(function () {
+    if (! entry) return stream.emit('error', notFound(key));
+    stream.emit('open');
+    stream.end(entry.body);
+  });
+
+  return stream;
+};
+
+MemoryStore.prototype.createWriteStream = function (key) {
+  var self = this
+  ,   chunks = []
+  ,   stream;
+
+  stream = new Writable({
+    write: function (chunk, encoding, callback) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+      callback();
+    }
+  });
+
+  stream.on('finish', function () {
+    var entry = self.entries[key] = self.entries[key] || {};
+    entry.body = Buffer.concat(chunks);
+    entry.mtime = new Date();
+  });
+
+  return stream;
+};
+
+MemoryStore.prototype.getMeta = function (key, callback) {
+  var entry = this.entries[key];
+
+  process.nextTick(function () {
+    if (! entry || ! entry.meta) return callback(notFound(key));
+    callback(null, lo.cloneDeep(entry.meta));
+  });
+};
+
+MemoryStore.prototype.setMeta = function (key, meta, callback) {
+  var entry = this.entries[key] = this.entries[key] || {};
+
+  entry.meta = lo.cloneDeep(meta);
+  process.nextTick(callback);
+};
+
+MemoryStore.prototype.touch = function (key, time, callback) {
+  var entry = this.getEntry(key);
+
+  process.nextTick(function () {
+    if (! entry) return callback(notFound(key));
+    entry.mtime = time;
+    callback(null);
+  });
+};
+
+MemoryStore.prototype.delete = function (key, callback) {
+  delete this.entries[key];
+  process.nextTick(callback);
+};
+
+MemoryStore.prototype.list = function (callback) {
+  var keys = Object.keys(this.entries);
+
+  process.nextTick(function () {
+    callback(null, keys);
+  });
+};
+
+MemoryStore.prototype.lock = function (key, lockOpt, callback) {
+  var self = this
+  ,   released = false
+  ,   error;
+
+  if (this.locks[key]) {
+    error = new Error("cached-request: key " + key + " is already locked");
+    error.code = 'ELOCKED';
+    return process.nextTick(callback, error);
+  }
+
+  this.locks[key] = true;
+  process.nextTick(callback, null, function release (callback) {
+    if (! released) delete self.locks[key];
+    released = true;
+    if (callback) process.nextTick(callback);
+  });
+};
+
+MemoryStore.prototype.check = function (key, lockOpt, callback) {
+  process.nextTick(callback, null, !! this.locks[key]);
+};
+
+module.exports = MemoryStore;
@@ -34,6 +34,9 @@ RequestMiddleware.prototype.use = function (request, cacheEvents) {
 
   if (EventEmitter.listenerCount(this, "error")) {
     this.request.on("error", function (error) {
+      // the cache entry is served instead
+      if (self.cacheEvents && self.cacheEvents.replacesError(error)) return;
+
       self.emit("error", error);
     });
   };
@@ -54,6 +57,9 @@ RequestMiddleware.prototype.use = function (request, cacheEvents) {
   };
 
   this.request.on("response", function (response) {
+    // the cache entry is served instead, e.g. on a 304 to a revalidation
+    if (self.cacheEvents && self.cacheEvents.replacesResponse(response)) return;
+
     if (EventEmitter.listenerCount(self, "response")) {
       self.emit("response", response);
     };